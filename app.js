@@ -4,18 +4,45 @@
    =================================================================== */
 
 import * as THREE from 'three';
+import {
+    W_GRID, GRID_SCALE, WOUND_WORLD, POLYMERS, THICKNESS_BAND,
+    randomSeed, calcSprayPhysics, createSim, generateWound, stepSim, simState, applyStepDelta,
+    depositionEfficiency, DEFAULT_PARAMS, CLINIC_CONDITIONS,
+    WOUND_TYPES, MIN_WOUND_CELLS, setWoundMask, decodeMask, inWoundCircle,
+    worldToGrid, isWoundCell, paintMask, clearWoundMask, woundDrugMass, meanFiberDiameter, sprayParams,
+} from './sim.js';
+import { SURFACES, surfacePoint, surfaceUV, surfaceDrop } from './surface.js';
+import {
+    TEXTURE_SIZE, SURFACE_RADIUS, GRANULATING, HEALED, INFECTED, paintTexture,
+} from './wound-texture.js';
+import {
+    createRecording, recordFrame, stepLength, serializeRecording, parseRecording,
+    createPlayer, advancePlayer,
+} from './replay.js';
+import { loadImageFile, fitRect, sampleImage, rasterizeWound } from './wound-image.js';
+import {
+    loadPresets, savePreset, deletePreset, findPreset, presetMask,
+    serializePresets, importPresets,
+} from './wound-presets.js';
+import { LEVELS, evaluateLevel, loadProgress, recordLevelResult } from './levels.js';
+import { scoreRun, CLINICAL_FIBER_TARGET } from './scoring.js';
+import {
+    createHealing, stepHealing, closedPercent, scaffoldRemaining, HEALING_MAX_DAYS,
+} from './healing.js';
+import { DRUG_AGENTS, MAX_DRUG_LOADING, releaseProfile } from './drug.js';
+import { buildReport, reportToJSON, reportToCSV, reportToHTML } from './report.js';
+import {
+    loadRuns, saveRun, clearRuns, createRun, bestsByWoundType, leaderboard,
+    loadPlayerName, savePlayerName,
+} from './history.js';
+import { PATTERNS, createPilot, stepPilot, runBenchmark } from './autopilot.js';
+import { LOCALES, initLocale, getLocale, setLocale, onLocaleChange, t, fmt, fmtDate } from './i18n.js';
 
 // ─── Game State ──────────────────────────────────────────────────────
 const G = {
-    phase: 'intro',     // intro | playing | won
+    phase: 'intro',     // intro | playing | won | editor | healing
     isSpraying: false,
-    coverage: 0,
     totalFibers: 0,
-    // ── Electrospinning parameters ──
-    voltage: 15,        // kV (5–25)
-    distance: 10,       // cm (5–20)
-    flowRate: 2.0,      // mL/h (0.5–5.0)
-    polymer: 'PCL',
     startTime: 0,
     elapsed: 0,
     // Aim point (raycast hit on wound plane in world coords)
@@ -24,350 +51,27 @@ const G = {
     mouseScreen: { x: 0, y: 0 },
     mouseNDC: new THREE.Vector2(0, 0),
     hasAim: false,       // true when mouse is over the wound area
+    replay: null,        // active replay player — live input is ignored while set
+    autopilot: null,     // active autopilot (see autopilot.js) — steers like a replay
+    overlay: null,       // diagnostic overlay on the wound: null | 'thickness' | 'coverage'
+    level: null,         // campaign level being played: { index, def } | null
 };
 
-// ─── Physics Model ───────────────────────────────────────────────────
-// Derives simulation values from real electrospinning parameters
-function calcSprayPhysics() {
-    const V = G.voltage;  // kV
-    const D = G.distance; // cm
-    const F = G.flowRate; // mL/h
-
-    // Fiber diameter (nm): higher voltage → thinner, higher flow → thicker
-    // Realistic range: ~100–800nm
-    const fiberDiameter = Math.max(80, 600 - V * 20 + F * 40);
-
-    // Spray radius (world units): increases with distance, slightly with voltage
-    const sprayRadius = 0.2 + D * 0.06 + V * 0.008;
-
-    // Accumulation rate: proportional to flow rate, inversely to spray area
-    const area = Math.PI * sprayRadius * sprayRadius;
-    const accumulationRate = (F * 1.8) / Math.max(0.5, area * 0.5);
-
-    // Particle speed: proportional to voltage (electric field strength)
-    const particleSpeed = 4 + V * 0.6;
-
-    // Particle spread: higher distance = more spread
-    const particleSpread = 0.1 + D * 0.02;
-
-    // Emission count per frame: proportional to flow rate
-    const emissionRate = F * 8;
-
-    // Gaussian sigma: wider at higher distance
-    const gaussianSigma = 0.7 + D * 0.015;
-
-    // Visual fiber length: thicker fibers = shorter, thinner = longer
-    const fiberLength = 0.1 + (fiberDiameter / 800) * 0.4;
-
-    // Particle visual size: thicker fibers = larger particles
-    const particleSize = 1.0 + (fiberDiameter / 400);
-
-    return {
-        fiberDiameter,   // nm
-        sprayRadius,     // world units
-        accumulationRate,// coverage per second
-        particleSpeed,   // world units / sec
-        particleSpread,  // spread factor
-        emissionRate,    // particles per frame
-        gaussianSigma,   // 0-1 fraction of radius
-        fiberLength,     // world units
-        particleSize,    // point size
-    };
-}
-
-const POLYMERS = {
-    PCL: { hex: 0x0891b2, css: '#0891b2', fiber: 'rgba(8,145,178,' },
-    PVA: { hex: 0x7c3aed, css: '#7c3aed', fiber: 'rgba(124,58,237,' },
-    PLGA: { hex: 0x059669, css: '#059669', fiber: 'rgba(5,150,105,' },
-    Chitosan: { hex: 0xd97706, css: '#d97706', fiber: 'rgba(217,119,6,' },
-};
-
-// ─── Wound Shape ─────────────────────────────────────────────────────
-// The wound is defined by a 128×128 mask (1 = wound, 0 = skin)
-const W_GRID = 128;
-const woundMask = new Uint8Array(W_GRID * W_GRID);   // 1 = wound cell
-const coverageGrid = new Float32Array(W_GRID * W_GRID);  // 0.0-1.0 coverage
-const WOUND_WORLD = 3.5;   // world-space radius the wound texture covers
-const CELL_SIZE = (WOUND_WORLD * 2) / W_GRID;        // world units per grid cell
-// Coverage = average of all cell values (0.0–1.0), so it matches visual appearance
-
-let woundCellCount = 0;     // total wound cells (for % calculation)
-
-// Wound types — each returns a function (gx, gy) => boolean
-const WOUND_TYPES = [
-    // Irregular blob — overlapping circles
-    () => {
-        const numBlobs = 3 + Math.floor(Math.random() * 4);
-        const blobs = [];
-        for (let i = 0; i < numBlobs; i++) {
-            blobs.push({
-                cx: W_GRID / 2 + (Math.random() - 0.5) * W_GRID * 0.35,
-                cy: W_GRID / 2 + (Math.random() - 0.5) * W_GRID * 0.35,
-                r: W_GRID * (0.12 + Math.random() * 0.2),
-            });
-        }
-        return (gx, gy) => blobs.some(b => {
-            const dx = gx - b.cx, dy = gy - b.cy;
-            return dx * dx + dy * dy < b.r * b.r;
-        });
-    },
-    // Elongated oval
-    () => {
-        const angle = Math.random() * Math.PI;
-        const rx = W_GRID * (0.15 + Math.random() * 0.15);
-        const ry = W_GRID * (0.28 + Math.random() * 0.12);
-        const cos = Math.cos(angle), sin = Math.sin(angle);
-        return (gx, gy) => {
-            const dx = gx - W_GRID / 2, dy = gy - W_GRID / 2;
-            const u = dx * cos + dy * sin, v = -dx * sin + dy * cos;
-            return (u * u) / (rx * rx) + (v * v) / (ry * ry) < 1;
-        };
-    },
-    // Star-shaped burn
-    () => {
-        const cx = W_GRID / 2, cy = W_GRID / 2;
-        const points = 5 + Math.floor(Math.random() * 4);
-        const rOuter = W_GRID * (0.25 + Math.random() * 0.1);
-        const rInner = rOuter * (0.4 + Math.random() * 0.2);
-        const rot = Math.random() * Math.PI * 2;
-        return (gx, gy) => {
-            const dx = gx - cx, dy = gy - cy;
-            const dist = Math.sqrt(dx * dx + dy * dy);
-            const angle = Math.atan2(dy, dx) + rot;
-            const t = ((angle / (Math.PI * 2)) * points % 1 + 1) % 1;
-            const rAt = t < 0.5
-                ? rInner + (rOuter - rInner) * (1 - Math.abs(t - 0.25) * 4)
-                : rInner + (rOuter - rInner) * (1 - Math.abs(t - 0.75) * 4);
-            return dist < rAt;
-        };
-    },
-    // Linear gash (thick line)
-    () => {
-        const cx = W_GRID / 2, cy = W_GRID / 2;
-        const angle = Math.random() * Math.PI;
-        const length = W_GRID * (0.3 + Math.random() * 0.15);
-        const width = W_GRID * (0.08 + Math.random() * 0.06);
-        const cos = Math.cos(angle), sin = Math.sin(angle);
-        // Add some branching
-        const branches = [];
-        const numBranch = Math.floor(Math.random() * 3);
-        for (let i = 0; i < numBranch; i++) {
-            const t = 0.2 + Math.random() * 0.6;
-            const bAngle = angle + (Math.random() - 0.5) * 1.5;
-            branches.push({
-                ox: cx + cos * length * (t - 0.5), oy: cy + sin * length * (t - 0.5),
-                cos: Math.cos(bAngle), sin: Math.sin(bAngle),
-                len: length * (0.2 + Math.random() * 0.3), w: width * 0.6
-            });
-        }
-        return (gx, gy) => {
-            // Main line
-            const dx = gx - cx, dy = gy - cy;
-            const along = dx * cos + dy * sin;
-            const perp = Math.abs(-dx * sin + dy * cos);
-            if (Math.abs(along) < length / 2 && perp < width) return true;
-            // Branches
-            for (const b of branches) {
-                const bdx = gx - b.ox, bdy = gy - b.oy;
-                const ba = bdx * b.cos + bdy * b.sin;
-                const bp = Math.abs(-bdx * b.sin + bdy * b.cos);
-                if (Math.abs(ba) < b.len / 2 && bp < b.w) return true;
-            }
-            return false;
-        };
-    },
-    // Multi-spot wounds (scattered small circles)
-    () => {
-        const spots = [];
-        const n = 4 + Math.floor(Math.random() * 5);
-        for (let i = 0; i < n; i++) {
-            spots.push({
-                cx: W_GRID / 2 + (Math.random() - 0.5) * W_GRID * 0.5,
-                cy: W_GRID / 2 + (Math.random() - 0.5) * W_GRID * 0.5,
-                r: W_GRID * (0.05 + Math.random() * 0.1),
-            });
-        }
-        return (gx, gy) => spots.some(s => {
-            const dx = gx - s.cx, dy = gy - s.cy;
-            return dx * dx + dy * dy < s.r * s.r;
-        });
-    },
-];
-
-function generateWound() {
-    woundMask.fill(0);
-    coverageGrid.fill(0);
-    G.coverage = 0;
-
-    // Pick random wound type
-    const typeFn = WOUND_TYPES[Math.floor(Math.random() * WOUND_TYPES.length)]();
-
-    woundCellCount = 0;
-    for (let y = 0; y < W_GRID; y++) {
-        for (let x = 0; x < W_GRID; x++) {
-            // Keep wound within visible circle (canvas/texture is circular)
-            const dx = x - W_GRID / 2, dy = y - W_GRID / 2;
-            const inCircle = dx * dx + dy * dy < (W_GRID * 0.44) * (W_GRID * 0.44);
-            if (inCircle && typeFn(x, y)) {
-                woundMask[y * W_GRID + x] = 1;
-                woundCellCount++;
-            }
-        }
-    }
-    // Ensure at least some wound cells
-    if (woundCellCount < 50) return generateWound();
-}
-
-function isWoundCell(gx, gy) {
-    if (gx < 0 || gx >= W_GRID || gy < 0 || gy >= W_GRID) return false;
-    return woundMask[gy * W_GRID + gx] === 1;
-}
-
-// ── World ↔ Grid coordinate helpers ─────────────────────────────────
-function worldToGrid(wx, wz) {
-    return {
-        gx: (wx + WOUND_WORLD) / (WOUND_WORLD * 2) * W_GRID,
-        gy: (wz + WOUND_WORLD) / (WOUND_WORLD * 2) * W_GRID,
-    };
-}
-
-// Spray at aim point with Gaussian falloff (world-space radius)
-// dt = delta time for frame-rate independence
-let _lastOverlayUpdate = 0;
-
-function sprayAtAim(worldX, worldZ, worldRadius, dt) {
-    const phys = calcSprayPhysics();
-    const { gx, gy } = worldToGrid(worldX, worldZ);
-    const gridRadius = worldRadius / CELL_SIZE;
-    const r = Math.ceil(gridRadius);
-    const sigma = gridRadius * phys.gaussianSigma;
-    const sigma2 = sigma * sigma;
-    const rate = phys.accumulationRate * dt;
-
-    const s = 1024;
-    // Wound grid occupies center portion of the unified canvas
-    const woundFrac = WOUND_WORLD / SURFACE_RADIUS;
-    const woundPx = s * woundFrac;
-    const woundOff = (s - woundPx) / 2;
-    const cellPx = woundPx / W_GRID;
-    const poly = POLYMERS[G.polymer];
-    let changed = false;
-
-    for (let dx = -r; dx <= r; dx++) {
-        for (let dy = -r; dy <= r; dy++) {
-            const dist2 = dx * dx + dy * dy;
-            if (dist2 > gridRadius * gridRadius) continue;
-            const nx = Math.round(gx + dx);
-            const ny = Math.round(gy + dy);
-            if (nx < 0 || nx >= W_GRID || ny < 0 || ny >= W_GRID) continue;
-
-            const isWound = isWoundCell(nx, ny);
-            const idx = ny * W_GRID + nx;
-
-            if (isWound) {
-                // Wound cell: track coverage + draw fibers
-                if (coverageGrid[idx] >= 1.0) continue;
-                const falloff = Math.exp(-dist2 / (2 * sigma2));
-                const add = rate * falloff * (0.8 + Math.random() * 0.4);
-                const prev = coverageGrid[idx];
-                coverageGrid[idx] = Math.min(1.0, prev + add);
-
-                if (coverageGrid[idx] !== prev) {
-                    changed = true;
-                    const px = woundOff + (nx + 0.5) * cellPx;
-                    const py = woundOff + (ny + 0.5) * cellPx;
-
-                    // Solid coverage tint — shows actual counted coverage area
-                    const tintAlpha = Math.min(0.35, coverageGrid[idx] * 0.3);
-                    woundCtx.fillStyle = poly.fiber + tintAlpha + ')';
-                    woundCtx.fillRect(px - cellPx * 0.5, py - cellPx * 0.5, cellPx, cellPx);
-
-                    // Fiber strands — proportional to cell size
-                    const strands = 1 + Math.floor(Math.random() * 3);
-                    for (let fi = 0; fi < strands; fi++) {
-                        const fAngle = Math.random() * Math.PI * 2;
-                        const fLen = cellPx * (1 + Math.random() * 4);
-                        const ex = px + Math.cos(fAngle) * fLen;
-                        const ey = py + Math.sin(fAngle) * fLen;
-                        const alpha = Math.min(0.5, coverageGrid[idx] * 0.35 + 0.08);
-                        woundCtx.strokeStyle = poly.fiber + alpha + ')';
-                        woundCtx.lineWidth = 0.3 + Math.random() * 1.0;
-                        woundCtx.beginPath();
-                        woundCtx.moveTo(px + (Math.random() - 0.5) * 2, py + (Math.random() - 0.5) * 2);
-                        woundCtx.quadraticCurveTo(
-                            (px + ex) / 2 + (Math.random() - 0.5) * cellPx * 2,
-                            (py + ey) / 2 + (Math.random() - 0.5) * cellPx * 2,
-                            ex, ey
-                        );
-                        woundCtx.stroke();
-                    }
-                }
-            } else {
-                // Skin cell near wound: visual-only fiber overflow (no coverage)
-                let nearWound = false;
-                for (let nd = -4; nd <= 4 && !nearWound; nd++) {
-                    for (let ne = -4; ne <= 4 && !nearWound; ne++) {
-                        const wx = nx + nd, wy = ny + ne;
-                        if (wx >= 0 && wx < W_GRID && wy >= 0 && wy < W_GRID &&
-                            woundMask[wy * W_GRID + wx]) nearWound = true;
-                    }
-                }
-                if (!nearWound) continue;
-
-                const falloff = Math.exp(-dist2 / (2 * sigma2));
-                if (Math.random() > falloff * 0.8) continue;
-
-                changed = true;
-                const px = woundOff + (nx + 0.5) * cellPx;
-                const py = woundOff + (ny + 0.5) * cellPx;
-                // Multiple overflow strands per skin cell
-                const overflowStrands = 1 + Math.floor(Math.random() * 3);
-                for (let os = 0; os < overflowStrands; os++) {
-                    const fAngle = Math.random() * Math.PI * 2;
-                    const fLen = cellPx * (2 + Math.random() * 6);
-                    const ex = px + Math.cos(fAngle) * fLen;
-                    const ey = py + Math.sin(fAngle) * fLen;
-                    const alpha = 0.08 + falloff * 0.27;
-                    woundCtx.strokeStyle = poly.fiber + alpha + ')';
-                    woundCtx.lineWidth = 0.2 + Math.random() * 0.8;
-                    woundCtx.beginPath();
-                    woundCtx.moveTo(px + (Math.random() - 0.5) * 3, py + (Math.random() - 0.5) * 3);
-                    woundCtx.quadraticCurveTo(
-                        (px + ex) / 2 + (Math.random() - 0.5) * cellPx * 2,
-                        (py + ey) / 2 + (Math.random() - 0.5) * cellPx * 2,
-                        ex, ey
-                    );
-                    woundCtx.stroke();
-                }
-            }
-        }
-    }
-    if (changed) {
-        recalcCoverage();
-        // Throttle texture upload to GPU (max ~15/s)
-        const now = performance.now();
-        if (now - _lastOverlayUpdate > 66) {
-            woundTexture.needsUpdate = true;
-            _lastOverlayUpdate = now;
-        }
-    }
-}
-
-function recalcCoverage() {
-    if (woundCellCount === 0) { G.coverage = 0; return; }
-    let totalCoverage = 0;
-    for (let i = 0; i < W_GRID * W_GRID; i++) {
-        if (!woundMask[i]) continue;
-        totalCoverage += coverageGrid[i]; // each cell is 0.0–1.0
-    }
-    // Pure average: directly reflects what the user sees
-    G.coverage = (totalCoverage / woundCellCount) * 100;
-}
+// ─── Simulation ──────────────────────────────────────────────────────
+// Wound mask, coverage and deposition live in sim.js; this file renders it
+let sim;
+let recording = null;    // timeline of the current run (see replay.js)
+let woundPreset = null;  // name of the saved preset the current wound came from
+let healing = null;      // healing time-lapse state after a win (see healing.js)
+let lastRunId = null;    // id of the run last saved to the history (highlighted there)
+let assisted = false;    // the autopilot drove part of this run — kept out of the history
+let _lastObjectivesUpdate = 0;
 
 // ─── Three.js Globals ────────────────────────────────────────────────
 let scene, camera, renderer;
-let deviceGroup, raycaster, woundPlane;
+let deviceGroup, raycaster, aimSurface, tableGroup;
 let woundCanvas, woundCtx, woundTexture;
+let overlayCanvas, overlayCtx, overlayImage, overlayTexture, overlayMesh;
 let clock;
 
 // Particles
@@ -379,26 +83,48 @@ const pSize = new Float32Array(P_COUNT);
 const pLife = new Float32Array(P_COUNT);
 const pPhase = new Float32Array(P_COUNT);
 const pActive = new Uint8Array(P_COUNT);
+const pDrop = new Uint8Array(P_COUNT);    // 1 = falling droplet (dripping regime)
 let particleGeo, particleMat, particleMesh;
 
-// 3D fiber meshes on the wound
-let fiberGroup;
-const MAX_FIBERS_3D = 250;
+// 3D fibers on the wound: ribbons batched into one preallocated mesh used
+// as a ring buffer — once it is full, each new fiber replaces the oldest
+const MAX_FIBERS_3D = 32768;
+const FIBER_POINTS = 12;              // samples along each ribbon
+const FIBER_WIDTH_PER_NM = 0.00003;   // ribbon width (world units) per nm of fiber diameter — far above true scale
+let fiberGeo, fiberMesh;
+let fiberCount = 0;   // ribbons in use
+let fiberNext = 0;    // slot the next fiber is written to
 
 // ─── Init ────────────────────────────────────────────────────────────
 function init() {
     clock = new THREE.Clock();
     raycaster = new THREE.Raycaster();
-    generateWound();
+    // ?seed=…&type=…&site=… reproduces a shared wound
+    const params = new URLSearchParams(window.location.search);
+    initLocale();
+    sim = createSim({ seed: params.get('seed') || randomSeed(), type: params.get('type'), surface: params.get('site') });
+    // ?preset=… loads a wound saved in the editor instead
+    const preset = params.get('preset') && findPreset(params.get('preset'));
+    if (preset) {
+        try {
+            setWoundMask(sim, sim.seed, presetMask(preset), 'custom');
+            woundPreset = preset.name;
+        } catch (err) {
+            alertError(err);   // the seeded wound stays
+        }
+    }
     setupScene();
     setupLights();
     buildEnvironment();
     buildDevice();
     buildWound();
+    buildOverlay();
     buildParticles();
-    fiberGroup = new THREE.Group();
-    scene.add(fiberGroup);
+    buildFibers();
     bindUI();
+    updateDerivedDisplay();
+    updatePolymerDetails();
+    updateSeedDisplay();
     animate();
 }
 
@@ -408,8 +134,7 @@ function setupScene() {
     scene.background = new THREE.Color(0xe8eef4);
 
     camera = new THREE.PerspectiveCamera(40, window.innerWidth / window.innerHeight, 0.1, 200);
-    camera.position.set(0, 14, 10);
-    camera.lookAt(0, -1, 0);
+    updateCamera(0);
 
     renderer = new THREE.WebGLRenderer({ antialias: true });
     renderer.setSize(window.innerWidth, window.innerHeight);
@@ -428,6 +153,162 @@ function setupScene() {
     });
 }
 
+// ─── Camera ──────────────────────────────────────────────────────────
+// Orbit rig around a target point: theta = azimuth (0 = viewer side, +z),
+// phi = angle down from straight above. `view` eases toward `viewGoal`;
+// drags and gestures move the goal, preset views replace it.
+const CAMERA_VIEWS = {
+    default: { theta: 0, phi: Math.atan2(10, 15), radius: Math.hypot(15, 10), target: [0, -1, 0] },
+    top: { theta: 0, phi: 0.05, radius: 17, target: [0, -1.85, 0] },
+    side: { theta: Math.PI / 2, phi: 1.42, radius: 16, target: [0, 1.2, 0] },   // shows the nozzle gap
+};
+const CAMERA_EASE = 6;               // 1/s — how quickly the camera settles
+const CAMERA_LIMITS = { phiMin: 0.05, phiMax: 1.5, radiusMin: 6, radiusMax: 30, pan: 5 };
+const TOUCH_SPRAY_DELAY = 120;       // ms a lone finger waits before spraying, in case a second follows
+
+const view = viewFromPreset('default');
+const viewGoal = viewFromPreset('default');
+let viewName = 'default';            // preset the camera is at, or null once moved by hand
+
+function viewFromPreset(name) {
+    const v = CAMERA_VIEWS[name];
+    return { theta: v.theta, phi: v.phi, radius: v.radius, target: new THREE.Vector3(...v.target) };
+}
+
+// Glide to a preset. Theta takes the short way round.
+function setView(name) {
+    const v = viewFromPreset(name);
+    const turns = Math.round((view.theta - v.theta) / (Math.PI * 2));
+    viewGoal.theta = v.theta + turns * Math.PI * 2;
+    viewGoal.phi = v.phi;
+    viewGoal.radius = v.radius;
+    viewGoal.target.copy(v.target);
+    viewName = name;
+    syncViewButtons();
+}
+
+function orbitView(dTheta, dPhi) {
+    const { phiMin, phiMax } = CAMERA_LIMITS;
+    viewGoal.theta += dTheta;
+    viewGoal.phi = Math.min(phiMax, Math.max(phiMin, viewGoal.phi + dPhi));
+    viewMovedByHand();
+}
+
+function zoomView(factor) {
+    const { radiusMin, radiusMax } = CAMERA_LIMITS;
+    viewGoal.radius = Math.min(radiusMax, Math.max(radiusMin, viewGoal.radius * factor));
+    viewMovedByHand();
+}
+
+// Screen-space pan in pixels, scaled so the wound follows the pointer
+function panView(dx, dy) {
+    const scale = viewGoal.radius * 0.0015;
+    const [rx, rz] = screenToGround(1, 0);
+    const [ux, uz] = screenToGround(0, -1);
+    const t = viewGoal.target;
+    t.x -= (rx * dx - ux * dy) * scale;
+    t.z -= (rz * dx - uz * dy) * scale;
+    const r = Math.hypot(t.x, t.z), max = CAMERA_LIMITS.pan;
+    if (r > max) { t.x *= max / r; t.z *= max / r; }
+    viewMovedByHand();
+}
+
+function viewMovedByHand() {
+    if (viewName === null) return;
+    viewName = null;
+    syncViewButtons();
+}
+
+// Screen direction (right, down) → world direction on the wound plane
+function screenToGround(right, down) {
+    const c = Math.cos(view.theta), s = Math.sin(view.theta);
+    return [right * c + down * s, -right * s + down * c];
+}
+
+function updateCamera(dt) {
+    const k = 1 - Math.exp(-CAMERA_EASE * dt);
+    view.theta += (viewGoal.theta - view.theta) * k;
+    view.phi += (viewGoal.phi - view.phi) * k;
+    view.radius += (viewGoal.radius - view.radius) * k;
+    view.target.lerp(viewGoal.target, k);
+    const sinPhi = Math.sin(view.phi);
+    camera.position.set(
+        view.target.x + view.radius * sinPhi * Math.sin(view.theta),
+        view.target.y + view.radius * Math.cos(view.phi),
+        view.target.z + view.radius * sinPhi * Math.cos(view.theta)
+    );
+    camera.lookAt(view.target);
+}
+
+function syncViewButtons() {
+    document.querySelectorAll('.hud-views [data-view]').forEach(b => {
+        b.classList.toggle('active', b.dataset.view === viewName);
+    });
+}
+
+// Alt-drag or right-drag orbits, Shift-drag or middle-drag pans, the wheel
+// zooms; on touch, two fingers pinch to zoom, twist to orbit and drag to pan.
+// A plain left-drag / one finger stays the spray.
+function bindCameraControls(canvasEl) {
+    let drag = null;   // 'orbit' | 'pan' | null
+    let lastX = 0, lastY = 0;
+
+    canvasEl.addEventListener('mousedown', e => {
+        if (e.button === 2 || (e.button === 0 && e.altKey)) drag = 'orbit';
+        else if (e.button === 1 || (e.button === 0 && e.shiftKey)) drag = 'pan';
+        else return;
+        e.preventDefault();
+        lastX = e.clientX;
+        lastY = e.clientY;
+    });
+    document.addEventListener('mousemove', e => {
+        if (!drag) return;
+        const dx = e.clientX - lastX, dy = e.clientY - lastY;
+        lastX = e.clientX;
+        lastY = e.clientY;
+        if (drag === 'orbit') orbitView(-dx * 0.006, -dy * 0.006);
+        else panView(dx, dy);
+    });
+    document.addEventListener('mouseup', () => { drag = null; });
+    canvasEl.addEventListener('contextmenu', e => e.preventDefault());
+    canvasEl.addEventListener('wheel', e => {
+        e.preventDefault();
+        zoomView(Math.exp(e.deltaY * 0.001));
+    }, { passive: false });
+
+    // Two-finger gestures: compare each frame of the pair with the last one
+    let pair = null;
+    const measure = (a, b) => ({
+        dist: Math.hypot(b.clientX - a.clientX, b.clientY - a.clientY),
+        angle: Math.atan2(b.clientY - a.clientY, b.clientX - a.clientX),
+        x: (a.clientX + b.clientX) / 2,
+        y: (a.clientY + b.clientY) / 2,
+    });
+    canvasEl.addEventListener('touchstart', e => {
+        if (e.touches.length === 2) pair = measure(e.touches[0], e.touches[1]);
+    }, { passive: true });
+    canvasEl.addEventListener('touchmove', e => {
+        if (e.touches.length !== 2 || !pair) return;
+        e.preventDefault();
+        const next = measure(e.touches[0], e.touches[1]);
+        if (next.dist > 0 && pair.dist > 0) zoomView(pair.dist / next.dist);
+        let twist = next.angle - pair.angle;
+        if (twist > Math.PI) twist -= Math.PI * 2;
+        if (twist < -Math.PI) twist += Math.PI * 2;
+        orbitView(twist, 0);
+        panView(next.x - pair.x, next.y - pair.y);
+        pair = next;
+    }, { passive: false });
+    canvasEl.addEventListener('touchend', e => {
+        if (e.touches.length < 2) pair = null;
+    });
+
+    document.querySelectorAll('.hud-views [data-view]').forEach(b => {
+        b.addEventListener('click', () => setView(b.dataset.view));
+    });
+    syncViewButtons();
+}
+
 // ─── Lights ──────────────────────────────────────────────────────────
 function setupLights() {
     scene.add(new THREE.AmbientLight(0xd0e0f0, 0.7));
@@ -448,6 +329,10 @@ function setupLights() {
 
 // ─── Environment ─────────────────────────────────────────────────────
 function buildEnvironment() {
+    // Table, rim and floor sink together under curved body parts (see setSurface)
+    tableGroup = new THREE.Group();
+    scene.add(tableGroup);
+
     // Table
     const table = new THREE.Mesh(
         new THREE.BoxGeometry(18, 0.3, 14),
@@ -456,7 +341,7 @@ function buildEnvironment() {
     table.position.y = -2.15;
     table.receiveShadow = true;
     table.castShadow = true;
-    scene.add(table);
+    tableGroup.add(table);
 
     // Steel rim
     const rim = new THREE.Mesh(
@@ -464,7 +349,7 @@ function buildEnvironment() {
         new THREE.MeshStandardMaterial({ color: 0xc8cdd4, roughness: 0.15, metalness: 0.8 })
     );
     rim.position.y = -2.0;
-    scene.add(rim);
+    tableGroup.add(rim);
 
     // Floor
     const floor = new THREE.Mesh(
@@ -474,21 +359,12 @@ function buildEnvironment() {
     floor.rotation.x = -Math.PI / 2;
     floor.position.y = -4;
     floor.receiveShadow = true;
-    scene.add(floor);
-
-    // Invisible plane for raycasting (at wound surface level)
-    woundPlane = new THREE.Mesh(
-        new THREE.PlaneGeometry(18, 14),
-        new THREE.MeshBasicMaterial({ visible: false })
-    );
-    woundPlane.rotation.x = -Math.PI / 2;
-    woundPlane.position.y = -1.85;
-    scene.add(woundPlane);
+    tableGroup.add(floor);
 }
 
 // ─── Device (gun shape, aims straight down) ──────────────────────────
 const DEVICE_HEIGHT_BASE = 3.5;
-function getDeviceHeight() { return DEVICE_HEIGHT_BASE + G.distance * 0.1; }
+function getDeviceHeight() { return DEVICE_HEIGHT_BASE + sim.params.distance * 0.1; }
 const DEVICE_TILT = -Math.PI / 6; // slight tilt (30°) — small enough to stay aligned
 
 function buildDevice() {
@@ -573,7 +449,7 @@ function buildDevice() {
     // Liquid inside
     const liq = new THREE.Mesh(
         new THREE.BoxGeometry(0.22, 0.35, 0.55),
-        new THREE.MeshStandardMaterial({ color: POLYMERS[G.polymer].hex, transparent: true, opacity: 0.5, roughness: 0.05 })
+        new THREE.MeshStandardMaterial({ color: POLYMERS[sim.params.polymer].hex, transparent: true, opacity: 0.5, roughness: 0.05 })
     );
     liq.position.set(0, 0.82, 0.3);
     liq.name = 'liquid';
@@ -596,212 +472,292 @@ function buildDevice() {
 }
 
 // ─── Wound Surface ──────────────────────────────────────────────────
-const SURFACE_RADIUS = 6.5;  // world radius of the unified surface mesh
+// The skin is bent to the body part in sim.surface (see surface.js). The
+// wound grid, the aim point and the skin texture stay in flat surface
+// coords (u, v); surfaceWorld() places them on the bent skin.
+const SURFACE_Y = -1.86;     // height of the skin at the apex (u = v = 0)
+const bentMeshes = [];       // re-bent whenever the body part changes
 
 function buildWound() {
     woundCanvas = document.createElement('canvas');
-    woundCanvas.width = 1024;
-    woundCanvas.height = 1024;
+    woundCanvas.width = TEXTURE_SIZE;
+    woundCanvas.height = TEXTURE_SIZE;
     woundCtx = woundCanvas.getContext('2d');
-    drawWoundTexture();
-
     woundTexture = new THREE.CanvasTexture(woundCanvas);
+    startTextureWorker();
+    redrawWoundTexture();
 
-    // Single unified surface — wound + skin in one mesh
+    // Single unified surface — wound + skin in one mesh (a ring with no
+    // hole: a disc with enough rings to bend smoothly)
     const surface = new THREE.Mesh(
-        new THREE.CircleGeometry(SURFACE_RADIUS, 64),
+        new THREE.RingGeometry(0, SURFACE_RADIUS, 96, 32),
         new THREE.MeshStandardMaterial({ map: woundTexture, roughness: 0.8, metalness: 0.02 })
     );
-    surface.rotation.x = -Math.PI / 2;
-    surface.position.y = -1.86;
     surface.receiveShadow = true;
+    bendToSurface(surface, 0);
     scene.add(surface);
 
-    // Sterile drape (stays separate — different material)
+    // Sterile drape (stays separate — different material), under the skin
     const drape = new THREE.Mesh(
-        new THREE.RingGeometry(SURFACE_RADIUS - 0.3, 8.5, 4),
+        new THREE.PlaneGeometry(12, 12, 48, 48),
         new THREE.MeshStandardMaterial({ color: 0x4a90d9, roughness: 0.7, side: THREE.DoubleSide })
     );
-    drape.rotation.x = -Math.PI / 2;
-    drape.rotation.z = Math.PI / 4;
-    drape.position.y = -1.87;
+    bendToSurface(drape, -0.01);
     scene.add(drape);
+
+    // Invisible surface for raycasting, wider than the skin; its uv holds
+    // the surface coords (u, v) of each point
+    aimSurface = new THREE.Mesh(
+        new THREE.PlaneGeometry(18, 14, 72, 56),
+        new THREE.MeshBasicMaterial({ visible: false })
+    );
+    const pos = aimSurface.geometry.attributes.position;
+    const uv = aimSurface.geometry.attributes.uv;
+    for (let i = 0; i < pos.count; i++) uv.setXY(i, pos.getX(i), -pos.getY(i));
+    bendToSurface(aimSurface, 0.01);
+    scene.add(aimSurface);
+    placeTable();
 }
 
-function drawWoundTexture() {
-    const c = woundCtx;
-    const s = 1024;
-    const cellPx = s / W_GRID;
-    // The canvas maps to SURFACE_RADIUS (6.5), but wound grid covers WOUND_WORLD (3.5)
-    // wound grid occupies the center portion of the canvas
-    const woundFrac = WOUND_WORLD / SURFACE_RADIUS; // ~0.538
-    const woundPixels = s * woundFrac; // pixels that wound area occupies
-    const woundOffset = (s - woundPixels) / 2; // pixel offset to center wound
-
-    // 1. Full surface skin base — radial gradient from center to edge
-    const skinGrad = c.createRadialGradient(s / 2, s / 2, 0, s / 2, s / 2, s / 2);
-    skinGrad.addColorStop(0, '#dbb09a'); // light skin center
-    skinGrad.addColorStop(0.45, '#d4a088'); // mid skin (wound border zone)
-    skinGrad.addColorStop(0.6, '#d4a088'); // skin border
-    skinGrad.addColorStop(0.85, '#ecc9ae'); // outer skin
-    skinGrad.addColorStop(1, '#e0be9e'); // edge
-    c.fillStyle = skinGrad;
-    c.fillRect(0, 0, s, s);
-
-    // 2. Skin pores and texture across entire surface
-    for (let i = 0; i < 2000; i++) {
-        const px = Math.random() * s;
-        const py = Math.random() * s;
-        const dx = px - s / 2, dy = py - s / 2;
-        if (dx * dx + dy * dy > (s / 2) * (s / 2)) continue;
-        c.fillStyle = `rgba(160,120,100,${0.02 + Math.random() * 0.05})`;
-        c.beginPath();
-        c.arc(px, py, 0.5 + Math.random() * 2, 0, Math.PI * 2);
-        c.fill();
-    }
+// World position of surface point (u, v), lifted along the skin normal
+function surfaceWorld(u, v, lift = 0, target = new THREE.Vector3()) {
+    const p = surfacePoint(sim.surface, u, v);
+    return target.set(p.x + p.nx * lift, SURFACE_Y + p.y + p.ny * lift, p.z + p.nz * lift);
+}
 
-    // 3. Build distance field from wound mask (for soft edges)
-    const distField = new Float32Array(W_GRID * W_GRID);
-    distField.fill(99);
-    for (let i = 0; i < W_GRID * W_GRID; i++) {
-        if (woundMask[i]) distField[i] = 0;
-    }
-    for (let pass = 0; pass < 6; pass++) {
-        for (let y = 1; y < W_GRID - 1; y++) {
-            for (let x = 1; x < W_GRID - 1; x++) {
-                const idx = y * W_GRID + x;
-                const neighbors = [
-                    distField[(y - 1) * W_GRID + x], distField[(y + 1) * W_GRID + x],
-                    distField[y * W_GRID + x - 1], distField[y * W_GRID + x + 1]
-                ];
-                distField[idx] = Math.min(distField[idx], Math.min(...neighbors) + 1);
-            }
-        }
+// Surface coords under world (x, z) and the skin height there
+function surfaceBelow(x, z) {
+    const { u, v } = surfaceUV(sim.surface, x, z);
+    return { u, v, y: SURFACE_Y + surfacePoint(sim.surface, u, v).y };
+}
+
+// Meshes are built flat in their XY plane, which maps to surface coords
+// (u, v) = (x, −y); the flat layout is kept to re-bend from
+function bendToSurface(mesh, lift) {
+    mesh.userData.flat = mesh.geometry.attributes.position.array.slice();
+    mesh.userData.lift = lift;
+    bentMeshes.push(mesh);
+    bendMesh(mesh);
+}
+
+function bendMesh(mesh) {
+    const { flat, lift } = mesh.userData;
+    const pos = mesh.geometry.attributes.position;
+    const p = new THREE.Vector3();
+    for (let i = 0; i < pos.count; i++) {
+        surfaceWorld(flat[i * 3], -flat[i * 3 + 1], lift, p);
+        pos.setXYZ(i, p.x, p.y, p.z);
     }
+    pos.needsUpdate = true;
+    mesh.geometry.computeVertexNormals();
+    mesh.geometry.computeBoundingSphere();
+}
 
-    // Helper: convert wound grid coords to canvas pixel coords
-    const gridToCanvas = (gx, gy) => ({
-        px: woundOffset + (gx + 0.5) * (woundPixels / W_GRID),
-        py: woundOffset + (gy + 0.5) * (woundPixels / W_GRID),
-    });
-    const gridCellPx = woundPixels / W_GRID;
+// Sink the table so the lowest corner of the wound area still clears it
+function placeTable() {
+    tableGroup.position.y = -surfaceDrop(sim.surface, WOUND_WORLD, WOUND_WORLD);
+}
 
-    // 4. Wound colors
-    const woundColorSets = [
-        ['#c06060', '#b55555', '#c47068', '#a85050'],
-        ['#c45555', '#b04050', '#d07060', '#a04848'],
-        ['#b85858', '#a84848', '#c86858', '#9c4545'],
-    ];
-    const woundColors = woundColorSets[Math.floor(Math.random() * woundColorSets.length)];
+function setSurface(id) {
+    if (!SURFACES[id]) return;
+    sim.surface = id;
+    document.querySelectorAll('.surface-select').forEach(select => { select.value = id; });
+    bentMeshes.forEach(bendMesh);
+    placeTable();
+    updateDerivedDisplay();
+    updateSeedDisplay();
+}
 
-    // 5. Pass A: Solid wound base
-    c.fillStyle = woundColors[0];
-    for (let gy = 0; gy < W_GRID; gy++) {
-        for (let gx = 0; gx < W_GRID; gx++) {
-            if (!woundMask[gy * W_GRID + gx]) continue;
-            const { px, py } = gridToCanvas(gx, gy);
-            c.fillRect(px - gridCellPx / 2 - 0.5, py - gridCellPx / 2 - 0.5, gridCellPx + 1, gridCellPx + 1);
-        }
+// ─── Deposition & Texture Painting ───────────────────────────────────
+// texture-worker.js steps deposition on its own copy of the sim and paints
+// the skin texture on an OffscreenCanvas. Each step's changes come back to
+// update sim here (a frame or so later), the texture as bitmaps copied into
+// woundCanvas. Where OffscreenCanvas is missing both run on this thread.
+let textureWorker = null;    // the worker, or null to step and paint on this thread
+let workerRun = 0;           // bumped per sim handed over; older step results are dropped
+let workerSteps = 0;         // steps posted and not answered yet
+const landedFibers = [];     // u, v pairs of particles that landed this frame
+
+function startTextureWorker() {
+    if (typeof OffscreenCanvas === 'undefined') return;
+    try {
+        textureWorker = new Worker(new URL('./texture-worker.js', import.meta.url), { type: 'module' });
+    } catch {
+        return;
     }
-
-    // 6. Pass B: Color variation
-    for (let gy = 0; gy < W_GRID; gy++) {
-        for (let gx = 0; gx < W_GRID; gx++) {
-            if (!woundMask[gy * W_GRID + gx]) continue;
-            if (Math.random() > 0.5) continue;
-            const { px, py } = gridToCanvas(gx, gy);
-            const color = woundColors[1 + Math.floor(Math.random() * (woundColors.length - 1))];
-            const radius = gridCellPx * (0.6 + Math.random() * 0.5);
-            const g = c.createRadialGradient(px, py, 0, px, py, radius);
-            g.addColorStop(0, color);
-            g.addColorStop(1, 'rgba(0,0,0,0)');
-            c.fillStyle = g;
-            c.beginPath();
-            c.arc(px, py, radius, 0, Math.PI * 2);
-            c.fill();
+    textureWorker.onmessage = e => {
+        const msg = e.data;
+        if (msg.type === 'bitmap') {
+            woundCtx.clearRect(0, 0, TEXTURE_SIZE, TEXTURE_SIZE);
+            woundCtx.drawImage(msg.bitmap, 0, 0);
+            msg.bitmap.close();
+            woundTexture.needsUpdate = true;
+        } else if (msg.run === workerRun) {
+            applyStepDelta(sim, msg.delta);
+            workerSteps--;
         }
+    };
+    // A worker that cannot paint (no 2D OffscreenCanvas) hands over to this
+    // thread, which carries on from the last step it heard back about
+    textureWorker.onerror = () => {
+        textureWorker.terminate();
+        textureWorker = null;
+        workerSteps = 0;
+        redrawWoundTexture();
+    };
+}
+
+function sendPaint(cmd, transfer = []) {
+    if (textureWorker) {
+        textureWorker.postMessage(cmd, transfer);
+        return;
     }
+    paintTexture(woundCtx, cmd);
+    woundTexture.needsUpdate = true;
+}
 
-    // 7. Pass C: Soft edge bleed (wound → skin transition)
-    for (let gy = 0; gy < W_GRID; gy++) {
-        for (let gx = 0; gx < W_GRID; gx++) {
-            const dist = distField[gy * W_GRID + gx];
-            if (dist < 1 || dist > 6) continue;
-            const { px, py } = gridToCanvas(gx, gy);
-            const alpha = Math.max(0, 0.5 * (1 - dist / 6.5));
-            if (alpha < 0.02) continue;
-            const color = woundColors[0];
-            const r = parseInt(color.slice(1, 3), 16);
-            const g2 = parseInt(color.slice(3, 5), 16);
-            const b = parseInt(color.slice(5, 7), 16);
-            const radius = gridCellPx * (0.8 + Math.random() * 0.4);
-            c.fillStyle = `rgba(${r},${g2},${b},${alpha})`;
-            c.beginPath();
-            c.arc(px, py, radius, 0, Math.PI * 2);
-            c.fill();
-        }
+// Hand the worker the sim as it stands, on every reset and run start
+function syncTextureWorker() {
+    if (!textureWorker) return;
+    workerRun++;
+    workerSteps = 0;
+    textureWorker.postMessage({ type: 'sim', run: workerRun, state: simState(sim) });
+}
+
+// One simulation step with the current params. The worker paints what it
+// deposits; here the hits are painted straight away.
+function stepDeposition(dt, input) {
+    if (!textureWorker) {
+        const hits = stepSim(sim, dt, input);
+        if (hits.length) paintDeposits(hits);
+        return;
     }
+    if (sim.complete) return;
+    workerSteps++;
+    textureWorker.postMessage({ type: 'step', dt, input, params: sim.params });
+}
+
+// Skin and wound from scratch — drops every fiber painted so far
+function redrawWoundTexture() {
+    const mask = sim.mask.slice();
+    sendPaint({ type: 'wound', mask, seed: sim.seed }, [mask.buffer]);
+}
+
+// Draw fibers for the cells a step on this thread deposited
+function paintDeposits(hits) {
+    paintTexture(woundCtx, { type: 'deposits', hits, polymer: sim.params.polymer, regime: sim.regime });
+    woundTexture.needsUpdate = true;
+}
+
+function paintLandedFibers() {
+    if (!landedFibers.length) return;
+    const points = Float32Array.from(landedFibers);
+    landedFibers.length = 0;
+    sendPaint({ type: 'fibers', points, polymer: sim.params.polymer, regime: sim.regime }, [points.buffer]);
+}
+
+// ─── Diagnostic Overlay ──────────────────────────────────────────────
+// Per-cell heatmap drawn straight from the simulation grids, laid over the
+// wound area and kept separate from the artistic fiber texture
+let _lastOverlayDraw = 0;
+
+function buildOverlay() {
+    overlayCanvas = document.createElement('canvas');
+    overlayCanvas.width = W_GRID;
+    overlayCanvas.height = W_GRID;
+    overlayCtx = overlayCanvas.getContext('2d');
+    overlayImage = overlayCtx.createImageData(W_GRID, W_GRID);
+    overlayTexture = new THREE.CanvasTexture(overlayCanvas);
+    overlayTexture.magFilter = THREE.NearestFilter;
+
+    overlayMesh = new THREE.Mesh(
+        new THREE.PlaneGeometry(WOUND_WORLD * 2, WOUND_WORLD * 2, 48, 48),
+        new THREE.MeshBasicMaterial({ map: overlayTexture, transparent: true, depthWrite: false })
+    );
+    bendToSurface(overlayMesh, 0.01);
+    overlayMesh.visible = false;
+    scene.add(overlayMesh);
+}
 
-    // 8. Organic texture noise within wound
-    for (let i = 0; i < 5000; i++) {
-        const gx = Math.floor(Math.random() * W_GRID);
-        const gy = Math.floor(Math.random() * W_GRID);
-        if (!woundMask[gy * W_GRID + gx]) continue;
-        const { px, py } = gridToCanvas(gx, gy);
-        const ox = (Math.random() - 0.5) * gridCellPx;
-        const oy = (Math.random() - 0.5) * gridCellPx;
-        const br = Math.random() * 40 - 20;
-        c.fillStyle = `rgba(${185 + br | 0},${95 + br * 0.4 | 0},${90 + br * 0.3 | 0},${0.15 + Math.random() * 0.25})`;
-        c.beginPath();
-        c.arc(px + ox, py + oy, 0.5 + Math.random() * 3, 0, Math.PI * 2);
-        c.fill();
+// Thickness (µm) → RGB: blue (bare) → cyan (thin) → green (in band) → amber → red (too thick)
+function thicknessColor(t) {
+    const { min, max } = THICKNESS_BAND;
+    const lerp = (a, b, f) => a.map((v, i) => v + (b[i] - v) * f);
+    if (t < min) return lerp([37, 99, 235], [34, 211, 238], t / min);
+    if (t <= max) return [16, 185, 129];
+    return lerp([234, 179, 8], [239, 68, 68], Math.min(1, (t - max) / max));
+}
+
+// Counted coverage (coverageGrid) → RGBA. Bare cells are magenta and any
+// cell next to one gets a faint halo, so single missed cells stand out;
+// partial cells run red → amber; fully counted cells fade into the background.
+function coverageColor(i) {
+    const v = sim.coverageGrid[i];
+    if (v <= 0) return [217, 70, 239, 235];
+    if (v < 1) {
+        const f = v;
+        return [239 + (234 - 239) * f, 68 + (179 - 68) * f, 68 + (8 - 68) * f, 215];
     }
+    if (bareNeighbor(i)) return [240, 171, 252, 150];
+    return [16, 185, 129, 60];
+}
 
-    // 9. Moisture highlights
-    for (let i = 0; i < 300; i++) {
-        const gx = Math.floor(Math.random() * W_GRID);
-        const gy = Math.floor(Math.random() * W_GRID);
-        if (!woundMask[gy * W_GRID + gx]) continue;
-        const { px, py } = gridToCanvas(gx, gy);
-        c.fillStyle = `rgba(255,210,190,${0.03 + Math.random() * 0.08})`;
-        c.beginPath();
-        c.arc(px, py, 1 + Math.random() * 5, 0, Math.PI * 2);
-        c.fill();
+function bareNeighbor(i) {
+    const x = i % W_GRID, y = (i - x) / W_GRID;
+    for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+            const nx = x + dx, ny = y + dy;
+            if (nx < 0 || nx >= W_GRID || ny < 0 || ny >= W_GRID) continue;
+            const n = ny * W_GRID + nx;
+            if (sim.mask[n] && sim.coverageGrid[n] <= 0) return true;
+        }
     }
+    return false;
 }
 
-function paintFiberOnCanvas(worldX, worldZ) {
-    const canvasSize = 1024;
-    const cx = ((worldX + SURFACE_RADIUS) / (SURFACE_RADIUS * 2)) * canvasSize;
-    const cy = ((worldZ + SURFACE_RADIUS) / (SURFACE_RADIUS * 2)) * canvasSize;
-    if (cx < 2 || cx > canvasSize - 2 || cy < 2 || cy > canvasSize - 2) return;
-
-    const poly = POLYMERS[G.polymer];
-    const numStrands = 2 + Math.floor(Math.random() * 4);
-    for (let i = 0; i < numStrands; i++) {
-        const len = 6 + Math.random() * 20;
-        const angle = Math.random() * Math.PI * 2;
-        const ex = cx + Math.cos(angle) * len;
-        const ey = cy + Math.sin(angle) * len;
-
-        woundCtx.strokeStyle = poly.fiber + (0.15 + Math.random() * 0.3) + ')';
-        woundCtx.lineWidth = 0.3 + Math.random() * 1.2;
-        woundCtx.beginPath();
-        woundCtx.moveTo(cx + (Math.random() - 0.5) * 3, cy + (Math.random() - 0.5) * 3);
-        woundCtx.quadraticCurveTo(
-            (cx + ex) / 2 + (Math.random() - 0.5) * 8,
-            (cy + ey) / 2 + (Math.random() - 0.5) * 8,
-            ex, ey
-        );
-        woundCtx.stroke();
+function drawOverlay() {
+    const data = overlayImage.data;
+    let bare = 0, partial = 0;
+    for (let i = 0; i < W_GRID * W_GRID; i++) {
+        const o = i * 4;
+        if (!sim.mask[i]) { data[o + 3] = 0; continue; }
+        if (G.overlay === 'coverage') {
+            const c = coverageColor(i);
+            data[o] = c[0];
+            data[o + 1] = c[1];
+            data[o + 2] = c[2];
+            data[o + 3] = c[3];
+            if (sim.coverageGrid[i] <= 0) bare++;
+            else if (sim.coverageGrid[i] < 1) partial++;
+            continue;
+        }
+        const [r, g, b] = thicknessColor(sim.thicknessGrid[i]);
+        data[o] = r;
+        data[o + 1] = g;
+        data[o + 2] = b;
+        data[o + 3] = 200;
     }
-    // Soft glow
-    woundCtx.fillStyle = poly.fiber + '0.03)';
-    woundCtx.beginPath();
-    woundCtx.arc(cx, cy, 5 + Math.random() * 8, 0, Math.PI * 2);
-    woundCtx.fill();
+    overlayCtx.putImageData(overlayImage, 0, 0);
+    overlayTexture.needsUpdate = true;
+    if (G.overlay === 'coverage') {
+        document.getElementById('overlay-gaps').textContent = t('overlay.gaps', { bare: fmt(bare), partial: fmt(partial) });
+    }
+}
 
-    woundTexture.needsUpdate = true;
+// Overlay button cycles off → thickness → coverage → off
+const OVERLAY_MODES = [null, 'thickness', 'coverage'];
+
+function setOverlay(mode) {
+    G.overlay = mode;
+    overlayMesh.visible = !!mode;
+    const btn = document.getElementById('btn-overlay');
+    btn.classList.toggle('active', !!mode);
+    btn.title = t('overlay.' + (mode || 'off'));
+    document.getElementById('overlay-legend').style.display = mode ? 'flex' : 'none';
+    document.querySelectorAll('.legend-set').forEach(el => {
+        el.style.display = el.dataset.overlay === mode ? 'flex' : 'none';
+    });
+    if (mode) drawOverlay();
 }
 
 // ─── Particle System ─────────────────────────────────────────────────
@@ -815,7 +771,7 @@ function buildParticles() {
 
     particleMat = new THREE.ShaderMaterial({
         uniforms: {
-            uColor: { value: new THREE.Color(POLYMERS[G.polymer].hex) },
+            uColor: { value: new THREE.Color(POLYMERS[sim.params.polymer].hex) },
             uTime: { value: 0 },
         },
         vertexShader: `
@@ -847,11 +803,13 @@ function buildParticles() {
     scene.add(particleMesh);
 }
 
-// Emit particles from emitter toward the aim point
+// Emit particles from emitter toward the aim point (surface coords)
 function emitParticles(emitterPos, targetX, targetZ, count) {
-    const woundY = -1.86;
     let emitted = 0;
-    const phys = calcSprayPhysics();
+    const phys = calcSprayPhysics(sprayParams(sim, targetX, targetZ));
+    const target = new THREE.Vector3();
+    // Dripping emits a few heavy drops instead of a fiber jet
+    if (phys.regime === 'dripping') count = Math.random() < 0.15 ? 1 : 0;
     for (let i = 0; i < P_COUNT && emitted < count; i++) {
         if (pActive[i]) continue;
         const i3 = i * 3;
@@ -859,10 +817,20 @@ function emitParticles(emitterPos, targetX, targetZ, count) {
         pPos[i3 + 1] = emitterPos.y + (Math.random() - 0.5) * 0.08;
         pPos[i3 + 2] = emitterPos.z + (Math.random() - 0.5) * 0.08;
 
+        // Multi-jet: each particle follows one of several jets splayed around the aim
+        let tx = targetX, tz = targetZ;
+        if (phys.jets > 1) {
+            const jet = Math.floor(Math.random() * phys.jets);
+            const angle = (jet / phys.jets) * Math.PI * 2 + sim.time * 3;
+            tx += Math.cos(angle) * phys.sprayRadius * 0.5;
+            tz += Math.sin(angle) * phys.sprayRadius * 0.5;
+        }
+
         // Velocity aimed at target with spread based on distance
-        const dx = targetX - emitterPos.x + (Math.random() - 0.5) * phys.particleSpread * 2;
-        const dy = woundY - emitterPos.y;
-        const dz = targetZ - emitterPos.z + (Math.random() - 0.5) * phys.particleSpread * 2;
+        surfaceWorld(tx, tz, 0, target);
+        const dx = target.x - emitterPos.x + (Math.random() - 0.5) * phys.particleSpread * 2;
+        const dy = target.y - emitterPos.y;
+        const dz = target.z - emitterPos.z + (Math.random() - 0.5) * phys.particleSpread * 2;
         const dist = Math.sqrt(dx * dx + dy * dy + dz * dz);
         const speed = phys.particleSpeed;
         pVel[i3] = (dx / dist) * speed;
@@ -871,6 +839,9 @@ function emitParticles(emitterPos, targetX, targetZ, count) {
 
         pAlpha[i] = 0.6 + Math.random() * 0.4;
         pSize[i] = phys.particleSize + Math.random() * 2;
+        // Beaded jets carry visible lumps of solution
+        if (phys.regime === 'beaded' && Math.random() < 0.3) pSize[i] += 3;
+        pDrop[i] = phys.regime === 'dripping' ? 1 : 0;
         pLife[i] = 0;
         pPhase[i] = Math.random() * Math.PI * 2;
         pActive[i] = 1;
@@ -879,25 +850,30 @@ function emitParticles(emitterPos, targetX, targetZ, count) {
 }
 
 function updateParticles(dt) {
-    const woundY = -1.86;
     for (let i = 0; i < P_COUNT; i++) {
         if (!pActive[i]) continue;
         const i3 = i * 3;
         pLife[i] += dt;
 
+        // Drops fall under gravity instead of following the field
+        if (pDrop[i]) pVel[i3 + 1] -= 9.8 * dt;
+
         // Spiral
         const phase = pPhase[i] + pLife[i] * 4;
-        const spiral = 0.01 * (G.voltage / 15);
+        const spiral = pDrop[i] ? 0 : 0.01 * (sim.params.voltage / 15);
         pPos[i3] += (pVel[i3] + Math.cos(phase) * spiral) * dt;
         pPos[i3 + 1] += pVel[i3 + 1] * dt;
         pPos[i3 + 2] += (pVel[i3 + 2] + Math.sin(phase) * spiral) * dt;
 
         // Hit wound surface
-        if (pPos[i3 + 1] <= woundY) {
+        const skin = surfaceBelow(pPos[i3], pPos[i3 + 2]);
+        if (pPos[i3 + 1] <= skin.y) {
             // Paint visual fiber at impact
-            paintFiberOnCanvas(pPos[i3], pPos[i3 + 2]);
-            if (Math.random() < 0.25) addFiber3D(pPos[i3], pPos[i3 + 2]);
-            G.totalFibers++;
+            landedFibers.push(skin.u, skin.v);
+            if (!pDrop[i]) {
+                if (Math.random() < 0.25) addFiber3D(skin.u, skin.v);
+                G.totalFibers++;
+            }
             pAlpha[i] = 0;
             pActive[i] = 0;
             continue;
@@ -919,17 +895,44 @@ function updateParticles(dt) {
     }
     particleGeo.attributes.position.needsUpdate = true;
     particleGeo.attributes.alpha.needsUpdate = true;
+    paintLandedFibers();
 }
 
 // ─── 3D Fibers ───────────────────────────────────────────────────────
-function addFiber3D(wx, wz) {
-    if (fiberGroup.children.length > MAX_FIBERS_3D) {
-        const old = fiberGroup.children[0];
-        fiberGroup.remove(old);
-        old.geometry.dispose();
-        old.material.dispose();
+function buildFibers() {
+    const verts = MAX_FIBERS_3D * FIBER_POINTS * 2;
+    fiberGeo = new THREE.BufferGeometry();
+    fiberGeo.setAttribute('position',
+        new THREE.BufferAttribute(new Float32Array(verts * 3), 3).setUsage(THREE.DynamicDrawUsage));
+    fiberGeo.setAttribute('color',
+        new THREE.BufferAttribute(new Uint8Array(verts * 4), 4, true).setUsage(THREE.DynamicDrawUsage));
+
+    // Each ribbon is a strip of left/right vertex pairs, two triangles per segment
+    const index = new Uint32Array(MAX_FIBERS_3D * (FIBER_POINTS - 1) * 6);
+    let k = 0;
+    for (let f = 0; f < MAX_FIBERS_3D; f++) {
+        for (let p = 0; p < FIBER_POINTS - 1; p++) {
+            const v = (f * FIBER_POINTS + p) * 2;
+            index[k++] = v; index[k++] = v + 1; index[k++] = v + 2;
+            index[k++] = v + 1; index[k++] = v + 3; index[k++] = v + 2;
+        }
     }
-    const phys = calcSprayPhysics();
+    fiberGeo.setIndex(new THREE.BufferAttribute(index, 1));
+    fiberGeo.setDrawRange(0, 0);
+
+    fiberMesh = new THREE.Mesh(fiberGeo, new THREE.MeshBasicMaterial({
+        vertexColors: true,
+        transparent: true,
+        depthWrite: false,
+        side: THREE.DoubleSide,
+    }));
+    fiberMesh.frustumCulled = false;   // the mat grows; its bounds are never recomputed
+    scene.add(fiberMesh);
+}
+
+// (wx, wz): surface coords where the fiber landed
+function addFiber3D(wx, wz) {
+    const phys = calcSprayPhysics(sprayParams(sim, wx, wz));
     // More control points for smoother curves
     const controlPts = [];
     const len = phys.fiberLength + Math.random() * 0.25;
@@ -937,30 +940,51 @@ function addFiber3D(wx, wz) {
     const segments = 6 + Math.floor(Math.random() * 4);
     // Curviness: thinner fibers whip more
     const curviness = 0.02 + (400 / Math.max(80, phys.fiberDiameter)) * 0.015;
-    const baseY = -1.84 + fiberGroup.children.length * 0.0002; // slight layer offset
+    // Fibers stack on the mat already deposited there
+    const { gx, gy } = worldToGrid(wx, wz);
+    const cx = Math.floor(gx), cy = Math.floor(gy);
+    const under = isWoundCell(sim, cx, cy) ? sim.thicknessGrid[cy * W_GRID + cx] : 0;
+    const lift = 0.02 + Math.min(under, THICKNESS_BAND.max * 1.5) * 0.0005;
 
     for (let s = 0; s <= segments; s++) {
         const t = s / segments;
-        controlPts.push(new THREE.Vector3(
+        controlPts.push(surfaceWorld(
             wx + Math.cos(angle) * len * t + (Math.random() - 0.5) * curviness * len,
-            baseY + Math.random() * 0.008,
-            wz + Math.sin(angle) * len * t + (Math.random() - 0.5) * curviness * len
+            wz + Math.sin(angle) * len * t + (Math.random() - 0.5) * curviness * len,
+            lift + Math.random() * 0.008
         ));
     }
 
-    // Smooth curve through control points
-    const curve = new THREE.CatmullRomCurve3(controlPts);
-    const curvePoints = curve.getPoints(20);
-
-    fiberGroup.add(new THREE.Line(
-        new THREE.BufferGeometry().setFromPoints(curvePoints),
-        new THREE.LineBasicMaterial({
-            color: POLYMERS[G.polymer].hex,
-            transparent: true,
-            opacity: 0.5 + Math.random() * 0.35,
-            linewidth: 1,
-        })
-    ));
+    // Smooth curve through control points, widened into a ribbon lying on the skin
+    const points = new THREE.CatmullRomCurve3(controlPts).getPoints(FIBER_POINTS - 1);
+    const n = surfacePoint(sim.surface, wx, wz);
+    const normal = new THREE.Vector3(n.nx, n.ny, n.nz);
+    const half = Math.max(0.002, phys.fiberDiameter * FIBER_WIDTH_PER_NM) / 2;
+    const side = new THREE.Vector3();
+    const color = new THREE.Color(POLYMERS[sim.params.polymer].hex).multiplyScalar(0.75 + Math.random() * 0.25);
+    const opacity = 0.5 + Math.random() * 0.35;
+
+    const pos = fiberGeo.attributes.position;
+    const col = fiberGeo.attributes.color;
+    const first = fiberNext * FIBER_POINTS * 2;
+    for (let p = 0; p < FIBER_POINTS; p++) {
+        const ahead = points[Math.min(p + 1, FIBER_POINTS - 1)], behind = points[Math.max(p - 1, 0)];
+        side.subVectors(ahead, behind).cross(normal).normalize().multiplyScalar(half);
+        const v = first + p * 2;
+        pos.setXYZ(v, points[p].x - side.x, points[p].y - side.y, points[p].z - side.z);
+        pos.setXYZ(v + 1, points[p].x + side.x, points[p].y + side.y, points[p].z + side.z);
+        col.setXYZW(v, color.r, color.g, color.b, opacity);
+        col.setXYZW(v + 1, color.r, color.g, color.b, opacity);
+    }
+    // Upload just this ribbon
+    pos.addUpdateRange(first * 3, FIBER_POINTS * 2 * 3);
+    col.addUpdateRange(first * 4, FIBER_POINTS * 2 * 4);
+    pos.needsUpdate = true;
+    col.needsUpdate = true;
+
+    fiberNext = (fiberNext + 1) % MAX_FIBERS_3D;
+    fiberCount = Math.min(fiberCount + 1, MAX_FIBERS_3D);
+    fiberGeo.setDrawRange(0, fiberCount * (FIBER_POINTS - 1) * 6);
 }
 
 // ─── UI Binding ──────────────────────────────────────────────────────
@@ -987,12 +1011,12 @@ function bindUI() {
         sprayInd.style.left = e.clientX + 'px';
         sprayInd.style.top = e.clientY + 'px';
 
-        if (G.phase === 'playing') {
+        if ((G.phase === 'playing' && !inputLocked()) || G.phase === 'editor') {
             raycaster.setFromCamera(G.mouseNDC, camera);
-            const hits = raycaster.intersectObject(woundPlane);
+            const hits = raycaster.intersectObject(aimSurface);
             if (hits.length) {
-                G.aimX = hits[0].point.x;
-                G.aimZ = hits[0].point.z;
+                G.aimX = hits[0].uv.x;
+                G.aimZ = hits[0].uv.y;
                 G.hasAim = true;
             } else {
                 G.hasAim = false;
@@ -1002,34 +1026,57 @@ function bindUI() {
 
     // Mouse down/up — spray (on document to not be blocked by HUD)
     document.addEventListener('mousedown', (e) => {
-        if (e.button !== 0 || G.phase !== 'playing') return;
+        if (e.button !== 0 || e.altKey || e.shiftKey) return;   // modifier drags move the camera
+        if (G.phase === 'editor') {
+            if (!e.target.closest('#editor-panel')) startEditorStroke();
+            return;
+        }
+        if (G.phase !== 'playing' || inputLocked()) return;
         const tag = e.target.tagName;
         if (tag === 'BUTTON' || tag === 'INPUT' || e.target.closest('button, input')) return;
-        G.isSpraying = true;
-        cursor.classList.add('spraying');
-        sprayInd.classList.add('active');
+        setSpraying(true);
     });
     document.addEventListener('mouseup', () => {
-        G.isSpraying = false;
-        cursor.classList.remove('spraying');
-        sprayInd.classList.remove('active');
+        editor.painting = false;
+        if (inputLocked()) return;
+        setSpraying(false);
     });
 
-    // Touch support
+    // Touch support — one finger sprays (or paints in the editor) after a short
+    // wait; a second finger turns the touch into a camera gesture instead
+    let touchTimer = 0;
+    let touchGesture = false;
     canvasEl.addEventListener('touchstart', (e) => {
-        if (G.phase !== 'playing') return;
-        G.isSpraying = true;
-        sprayInd.classList.add('active');
+        clearTimeout(touchTimer);
+        if (e.touches.length > 1) {
+            touchGesture = true;
+            editor.painting = false;
+            if (!inputLocked()) setSpraying(false);
+            return;
+        }
+        if (touchGesture) return;
         updateTouch(e.touches[0]);
+        touchTimer = setTimeout(() => {
+            if (G.phase === 'editor') {
+                startEditorStroke();
+                return;
+            }
+            if (G.phase !== 'playing' || inputLocked()) return;
+            setSpraying(true);
+        }, TOUCH_SPRAY_DELAY);
     }, { passive: true });
     canvasEl.addEventListener('touchmove', (e) => {
+        if (inputLocked() || touchGesture) return;
         updateTouch(e.touches[0]);
         sprayInd.style.left = e.touches[0].clientX + 'px';
         sprayInd.style.top = e.touches[0].clientY + 'px';
     }, { passive: true });
-    canvasEl.addEventListener('touchend', () => {
-        G.isSpraying = false;
-        sprayInd.classList.remove('active');
+    canvasEl.addEventListener('touchend', (e) => {
+        clearTimeout(touchTimer);
+        if (e.touches.length === 0) touchGesture = false;
+        editor.painting = false;
+        if (inputLocked()) return;
+        setSpraying(false);
     });
 
     function updateTouch(t) {
@@ -1037,54 +1084,104 @@ function bindUI() {
         G.mouseScreen.y = t.clientY;
         screenToNDC(t.clientX, t.clientY);
         raycaster.setFromCamera(G.mouseNDC, camera);
-        const hits = raycaster.intersectObject(woundPlane);
+        const hits = raycaster.intersectObject(aimSurface);
         if (hits.length) {
-            G.aimX = hits[0].point.x;
-            G.aimZ = hits[0].point.z;
+            G.aimX = hits[0].uv.x;
+            G.aimZ = hits[0].uv.y;
             G.hasAim = true;
+        } else {
+            G.hasAim = false;
         }
     }
 
+    bindCameraControls(canvasEl);
+
     // Buttons
     document.getElementById('btn-play').addEventListener('click', startGame);
     document.getElementById('btn-replay').addEventListener('click', () => {
         document.getElementById('win-screen').style.display = 'none';
-        resetGame();
-        startGame();
+        restartGame();
     });
 
     // Parameter sliders
-    ['voltage', 'distance', 'flowRate'].forEach(param => {
+    SLIDER_PARAMS.forEach(param => {
         const slider = document.getElementById(`slider-${param}`);
-        const display = document.getElementById(`val-${param}`);
         if (!slider) return;
         slider.addEventListener('input', e => {
-            const v = parseFloat(e.target.value);
-            G[param] = v;
-            if (param === 'flowRate') {
-                display.textContent = v.toFixed(1);
-            } else {
-                display.textContent = v;
+            if (inputLocked()) return;
+            setParam(param, parseFloat(e.target.value));
+        });
+    });
+
+    // Body site — the wound starts over when it moves to another shape
+    document.querySelectorAll('.surface-select').forEach(select => {
+        Object.keys(SURFACES).forEach(id => select.add(new Option('', id)));
+        select.value = sim.surface;
+        select.addEventListener('change', () => {
+            if (inputLocked()) {
+                select.value = sim.surface;
+                return;
+            }
+            setSurface(select.value);
+            if (G.phase === 'playing') {
+                resetSameWound();
+                startGame();
             }
-            // Update derived display
-            const phys = calcSprayPhysics();
-            const fiberEl = document.getElementById('fiber-diameter');
-            if (fiberEl) fiberEl.textContent = Math.round(phys.fiberDiameter) + ' nm';
         });
     });
 
+    // Room condition presets — set humidity and temperature together
+    const condSelect = document.getElementById('select-conditions');
+    Object.keys(CLINIC_CONDITIONS).forEach(id => condSelect.add(new Option('', id)));
+    condSelect.addEventListener('change', () => {
+        const c = CLINIC_CONDITIONS[condSelect.value];
+        if (inputLocked() || !c) return;
+        setParam('humidity', c.humidity);
+        setParam('temperature', c.temperature);
+    });
+    syncConditionsSelect();
+
+    // Drug payload — the loading slider is one of SLIDER_PARAMS
+    document.getElementById('slider-drugLoading').max = MAX_DRUG_LOADING;
+    const drugSelect = document.getElementById('select-drug');
+    Object.keys(DRUG_AGENTS).forEach(id => drugSelect.add(new Option('', id)));
+    drugSelect.addEventListener('change', () => {
+        if (inputLocked()) return;
+        setDrug(drugSelect.value);
+    });
+    setDrug(sim.params.drug);
+
     // Polymer buttons
     document.querySelectorAll('.hud-poly').forEach(btn => {
         btn.addEventListener('click', () => {
-            document.querySelectorAll('.hud-poly').forEach(b => b.classList.remove('active'));
-            btn.classList.add('active');
-            G.polymer = btn.dataset.polymer;
-            particleMat.uniforms.uColor.value.set(POLYMERS[G.polymer].hex);
-            const liq = deviceGroup.getObjectByName('liquid');
-            if (liq) liq.material.color.set(POLYMERS[G.polymer].hex);
+            if (inputLocked()) return;
+            setPolymer(btn.dataset.polymer);
         });
     });
 
+    // Replays — save the current run, load one from a file, or watch it back
+    const replayFile = document.getElementById('replay-file');
+    document.getElementById('btn-load-replay').addEventListener('click', () => replayFile.click());
+    replayFile.addEventListener('change', () => {
+        const file = replayFile.files[0];
+        replayFile.value = '';
+        if (!file) return;
+        file.text().then(text => {
+            startReplay(parseRecording(text));
+        }).catch(alertError);
+    });
+    document.getElementById('btn-save-replay').addEventListener('click', saveRecording);
+    document.getElementById('btn-win-save-replay').addEventListener('click', saveRecording);
+    document.getElementById('btn-win-watch').addEventListener('click', () => {
+        if (recording) startReplay(JSON.parse(serializeRecording(recording)));
+    });
+    document.getElementById('btn-stop-replay').addEventListener('click', stopReplay);
+
+    // Thickness / coverage maps
+    document.getElementById('btn-overlay').addEventListener('click', () => {
+        setOverlay(OVERLAY_MODES[(OVERLAY_MODES.indexOf(G.overlay) + 1) % OVERLAY_MODES.length]);
+    });
+
     // Info modal
     document.getElementById('btn-info').addEventListener('click', () => {
         document.getElementById('info-modal').style.display = 'flex';
@@ -1097,10 +1194,130 @@ function bindUI() {
     });
 
     // Reset
-    document.getElementById('btn-reset').addEventListener('click', () => {
-        resetGame();
-        startGame();
+    document.getElementById('btn-reset').addEventListener('click', restartGame);
+
+    bindImportUI();
+    bindEditorUI();
+    bindCampaignUI();
+    bindHistoryUI();
+    bindReportUI();
+    bindAutopilotUI();
+    bindLocaleUI();
+    bindKeyboard();
+
+    // Healing time-lapse
+    document.getElementById('btn-win-heal').addEventListener('click', startHealing);
+    document.getElementById('btn-heal-skip').addEventListener('click', () => {
+        while (!healing.done) paintHealing(stepHealing(healing, HEALING_STEP));
+        updateHealingBanner();
+    });
+    document.getElementById('btn-heal-done').addEventListener('click', endHealing);
+
+    // Seed badge — copies a link that reproduces this exact wound
+    const seedBtn = document.getElementById('btn-seed');
+    seedBtn.addEventListener('click', () => {
+        if (!navigator.clipboard) return;
+        navigator.clipboard.writeText(window.location.href).then(() => {
+            seedBtn.classList.add('copied');
+            setTimeout(() => seedBtn.classList.remove('copied'), 1200);
+        });
+    });
+}
+
+const SLIDER_PARAMS = ['voltage', 'distance', 'flowRate', 'humidity', 'temperature', 'drugLoading'];
+
+// ─── Parameters ──────────────────────────────────────────────────────
+// Single entry point for slider changes (UI input and replays alike)
+function setParam(param, v) {
+    sim.params[param] = v;
+    const slider = document.getElementById(`slider-${param}`);
+    const display = document.getElementById(`val-${param}`);
+    slider.value = v;
+    display.textContent = fmt(v, param === 'flowRate' ? 1 : 0);
+    if (param === 'humidity' || param === 'temperature') syncConditionsSelect();
+    updateDerivedDisplay();
+}
+
+// Show the matching preset, or "Custom" once the sliders leave it
+function syncConditionsSelect() {
+    const { humidity, temperature } = sim.params;
+    const match = Object.keys(CLINIC_CONDITIONS).find(id =>
+        CLINIC_CONDITIONS[id].humidity === humidity && CLINIC_CONDITIONS[id].temperature === temperature);
+    document.getElementById('select-conditions').value = match || 'custom';
+}
+
+// Readouts for the spray where it meets the skin under the aim point
+function updateDerivedDisplay() {
+    const local = sprayParams(sim, G.aimX, G.aimZ);
+    const phys = calcSprayPhysics(local);
+    document.getElementById('fiber-diameter').textContent = phys.regime === 'dripping'
+        ? t('fiber.drops', { size: fmt(phys.fiberDiameter / 1000, 1) })
+        : fmt(phys.fiberDiameter) + ' nm';
+    const regimeEl = document.getElementById('regime-text');
+    regimeEl.textContent = t('regime.' + phys.regime);
+    regimeEl.className = 'derived-value regime-' + phys.regime;
+    document.getElementById('porosity-text').textContent = fmt(phys.porosity * 100) + '%';
+    document.getElementById('skin-distance-row').style.display = sim.surface === 'flat' ? 'none' : '';
+    document.getElementById('skin-distance').textContent = fmt(local.distance, 1) + ' cm';
+}
+
+function setPolymer(id) {
+    if (!POLYMERS[id]) return;
+    if (G.level && id !== G.level.def.polymer) return;
+    sim.params.polymer = id;
+    document.querySelectorAll('.hud-poly').forEach(b => {
+        b.classList.toggle('active', b.dataset.polymer === id);
     });
+    particleMat.uniforms.uColor.value.set(POLYMERS[id].hex);
+    const liq = deviceGroup.getObjectByName('liquid');
+    if (liq) liq.material.color.set(POLYMERS[id].hex);
+    updateDerivedDisplay();
+    updatePolymerDetails();
+}
+
+function setDrug(id) {
+    if (id !== 'none' && !DRUG_AGENTS[id]) return;
+    sim.params.drug = id;
+    document.getElementById('select-drug').value = id;
+    updateDrugDose();
+}
+
+// µg of drug deposited on the wound so far — a running total, no grid scan
+function updateDrugDose() {
+    document.getElementById('drug-dose').textContent = sim.params.drug === 'none'
+        ? '—'
+        : fmt(woundDrugMass(sim), 1) + ' µg';
+}
+
+// Material properties of the selected polymer solution
+function updatePolymerDetails() {
+    const id = sim.params.polymer;
+    const poly = POLYMERS[id];
+    const degr = poly.degradationDays >= 60
+        ? t('poly.months', { n: fmt(poly.degradationDays / 30) })
+        : t('poly.days', { n: fmt(poly.degradationDays) });
+    document.getElementById('poly-name').textContent = t(`polymer.${id}.name`);
+    document.getElementById('poly-name').style.color = poly.css;
+    document.getElementById('poly-solvent').textContent = t(`polymer.${id}.solvent`);
+    document.getElementById('poly-viscosity').textContent = fmt(poly.viscosity) + ' cP';
+    document.getElementById('poly-conductivity').textContent = fmt(poly.conductivity) + ' µS/cm';
+    document.getElementById('poly-concentration').textContent = fmt(poly.concentration) + '% w/v';
+    document.getElementById('poly-volatility').textContent =
+        t(poly.volatility >= 0.7 ? 'poly.high' : poly.volatility >= 0.4 ? 'poly.medium' : 'poly.low');
+    document.getElementById('poly-degradation').textContent = degr;
+}
+
+// Play Again / Restart: a new random wound, or the same one if it was imported;
+// in the campaign, the same level again
+function restartGame() {
+    if (G.level) {
+        startLevel(G.level.index);
+        return;
+    }
+    if (G.replay) stopReplay();
+    if (WOUND_TYPES[sim.woundType]) resetGame();
+    else resetGame(randomSeed(), sim.woundType, sim.mask.slice());
+    startGame();
 }
 
 function startGame() {
@@ -1109,41 +1326,79 @@ function startGame() {
     document.getElementById('custom-cursor').style.display = 'block';
     G.phase = 'playing';
     G.startTime = performance.now();
+    assisted = false;
+    syncTextureWorker();
+    // Replays are not re-recorded — the loaded timeline stays the one to save
+    recording = G.replay ? G.replay.rec : createRecording(sim);
 }
 
-function resetGame() {
-    G.coverage = 0;
+// Start the current wound over, deposition cleared
+function resetSameWound() {
+    if (WOUND_TYPES[sim.woundType]) resetGame(sim.seed, sim.woundType);
+    else resetGame(sim.seed, sim.woundType, sim.mask.slice());
+}
+
+// seed/type default to a fresh random wound; a mask replaces the procedural shape
+function resetGame(seed = randomSeed(), type = null, mask = null) {
+    stopAutopilot();
+    clearBenchmark();
     G.totalFibers = 0;
     G.elapsed = 0;
     G.isSpraying = false;
 
-    // New random wound
-    generateWound();
-    drawWoundTexture();
-    woundTexture.needsUpdate = true;
+    if (mask) {
+        setWoundMask(sim, seed, mask, type || 'image');
+    } else {
+        generateWound(sim, seed, type);
+        woundPreset = null;
+    }
+    syncTextureWorker();   // drops results of steps on the old wound still in flight
+    redrawWoundTexture();
+    if (G.overlay) drawOverlay();
+    updateSeedDisplay();
 
     // Clear particles
     for (let i = 0; i < P_COUNT; i++) { pAlpha[i] = 0; pActive[i] = 0; }
     particleGeo.attributes.alpha.needsUpdate = true;
 
     // Clear 3D fibers
-    while (fiberGroup.children.length) {
-        const c = fiberGroup.children[0];
-        fiberGroup.remove(c);
-        c.geometry.dispose();
-        c.material.dispose();
-    }
+    fiberCount = 0;
+    fiberNext = 0;
+    fiberGeo.setDrawRange(0, 0);
     updateHUD();
 }
 
 function triggerWin() {
     G.phase = 'won';
     G.isSpraying = false;
+    stopAutopilot();
+    clearBenchmark();
+    const score = scoreRun(sim);
+    if (recording && !G.replay) {
+        recording.result = {
+            time: G.elapsed, simTime: sim.time,
+            fibers: G.totalFibers, coverage: sim.coverage,
+            efficiency: depositionEfficiency(sim),
+            score: score.total, grade: score.grade,
+        };
+    }
+    // Watching a replay or the autopilot is not a new run
+    const watched = !!G.replay || assisted;
+    const runs = watched ? null : recordHistory(score);
+    if (G.replay) stopReplay();
+    if (G.level) {
+        finishLevel(updateObjectives());
+        return;
+    }
 
     const m = Math.floor(G.elapsed / 60).toString().padStart(2, '0');
     const s = Math.floor(G.elapsed % 60).toString().padStart(2, '0');
     document.getElementById('win-time').textContent = `${m}:${s}`;
-    document.getElementById('win-fibers').textContent = G.totalFibers.toLocaleString();
+    document.getElementById('win-fibers').textContent = fmt(G.totalFibers);
+    showScore(score);
+    showHistoryNote(runs, watched);
+    showWasteBreakdown();
+    showRelease();
 
     setTimeout(() => {
         document.getElementById('win-screen').style.display = 'flex';
@@ -1159,13 +1414,1146 @@ function triggerWin() {
     }
 }
 
+// Letter grade plus one bar per category, each with the measured value
+function showScore(score) {
+    const grade = document.getElementById('score-grade');
+    grade.textContent = score.grade;
+    grade.className = 'score-grade grade-' + score.grade.toLowerCase();
+    document.getElementById('score-total').textContent = score.total;
+    const c = score.categories;
+    const details = {
+        time: fmt(c.time.value, 1) + ' s',
+        uniformity: fmt(c.uniformity.value * 100) + '%',
+        overspray: t('score.wasted', { pct: fmt(c.overspray.value * 100) }),
+        fiber: t('score.fiber', { value: fmt(c.fiber.value), target: fmt(CLINICAL_FIBER_TARGET) }),
+    };
+    const list = document.getElementById('score-breakdown');
+    list.innerHTML = '';
+    for (const [id, cat] of Object.entries(c)) {
+        const row = document.createElement('div');
+        row.className = 'score-row';
+        row.innerHTML = `
+            <span class="score-label"></span>
+            <span class="score-bar"><span class="score-fill" style="width:${(cat.points / cat.weight) * 100}%"></span></span>
+            <span class="score-points">${Math.round(cat.points)}/${cat.weight}</span>
+            <span class="score-detail"></span>`;
+        row.querySelector('.score-label').textContent = t('score.cat.' + id);
+        row.querySelector('.score-detail').textContent = details[id];
+        list.appendChild(row);
+    }
+}
+
+// Where the dispensed polymer went — wound vs. skin vs. off-target
+function showWasteBreakdown() {
+    const w = sim.waste;
+    const pctOf = v => (w.dispensed > 0 ? (v / w.dispensed) * 100 : 0);
+    document.getElementById('win-efficiency').textContent = fmt(depositionEfficiency(sim)) + '%';
+    [['wound', w.wound], ['skin', w.skin], ['off', w.offTarget]].forEach(([key, v]) => {
+        document.getElementById(`waste-bar-${key}`).style.width = pctOf(v) + '%';
+        document.getElementById(`waste-${key}`).textContent = fmt(v, 1) + ' µL';
+    });
+    document.getElementById('waste-total').textContent = fmt(w.dispensed, 1) + ' µL';
+}
+
+// Cumulative release curve of the loaded drug — hidden when none was loaded
+function showRelease() {
+    const profile = releaseProfile(sim);
+    const card = document.getElementById('release-card');
+    card.style.display = profile && profile.dose > 0 ? 'block' : 'none';
+    if (!profile || profile.dose <= 0) return;
+
+    const fmtDays = d => d == null ? t('release.never')
+        : d < 1 ? t('release.hours', { n: fmt(d * 24) })
+        : t('release.days', { n: fmt(d, 1) });
+    document.getElementById('release-title').textContent = t('release.title', { agent: t('drug.' + sim.params.drug) });
+    document.getElementById('release-title').style.color = profile.agent.css;
+    document.getElementById('release-dose').textContent = fmt(profile.dose, 1) + ' µg';
+    document.getElementById('release-burst').textContent = fmt(profile.burst * 100) + '%';
+    document.getElementById('release-t50').textContent = fmtDays(profile.t50);
+    document.getElementById('release-t90').textContent = fmtDays(profile.t90);
+    drawReleaseChart(profile);
+}
+
+// Days on x (long enough to show most of the release, at most HEALING_MAX_DAYS),
+// cumulative % released on y, with the 24 h burst marked
+function drawReleaseChart(profile) {
+    const canvas = document.getElementById('release-chart');
+    const ctx = canvas.getContext('2d');
+    const w = canvas.width, h = canvas.height;
+    const pad = { l: 34, r: 10, t: 10, b: 22 };
+    const days = Math.min(HEALING_MAX_DAYS, Math.max(2, Math.ceil((profile.t90 ?? Infinity) * 1.2)));
+    const px = d => pad.l + (d / days) * (w - pad.l - pad.r);
+    const py = f => h - pad.b - f * (h - pad.t - pad.b);
+
+    ctx.clearRect(0, 0, w, h);
+    ctx.font = '10px Inter, sans-serif';
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.08)';
+    ctx.fillStyle = '#94a3b8';
+    ctx.textAlign = 'right';
+    for (const f of [0, 0.5, 1]) {
+        ctx.beginPath();
+        ctx.moveTo(pad.l, py(f));
+        ctx.lineTo(w - pad.r, py(f));
+        ctx.stroke();
+        ctx.fillText(fmt(f * 100) + '%', pad.l - 4, py(f) + 3);
+    }
+    ctx.textAlign = 'center';
+    for (const d of [0, days / 2, days]) {
+        ctx.fillText(t('release.days', { n: fmt(d) }), px(d), h - 6);
+    }
+
+    // 24 h burst marker
+    if (days > 1) {
+        ctx.setLineDash([3, 3]);
+        ctx.strokeStyle = '#94a3b8';
+        ctx.beginPath();
+        ctx.moveTo(px(1), py(0));
+        ctx.lineTo(px(1), py(1));
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
+
+    ctx.strokeStyle = profile.agent.css;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    const steps = 200;
+    for (let i = 0; i <= steps; i++) {
+        const d = (i / steps) * days;
+        if (i === 0) ctx.moveTo(px(d), py(profile.at(d)));
+        else ctx.lineTo(px(d), py(profile.at(d)));
+    }
+    ctx.stroke();
+}
+
+// ─── Session Report ──────────────────────────────────────────────────
+// Evidence for the trainee's logbook: JSON / CSV downloads and a printable page
+const SNAPSHOT_SIZE = 384;
+
+function bindReportUI() {
+    const name = ext => `spincare-report-${sim.seed}.${ext}`;
+    document.getElementById('btn-report-json').addEventListener('click', () => {
+        downloadFile(name('json'), reportToJSON(currentReport()), 'application/json');
+    });
+    document.getElementById('btn-report-csv').addEventListener('click', () => {
+        downloadFile(name('csv'), reportToCSV(currentReport()), 'text/csv');
+    });
+    document.getElementById('btn-report-print').addEventListener('click', () => {
+        const html = reportToHTML(currentReport(), { t, fmt, fmtDate, lang: getLocale() });
+        const win = window.open('', '_blank');
+        // Popup blocked — save the page instead, it prints the same
+        if (!win) {
+            downloadFile(name('html'), html, 'text/html');
+            return;
+        }
+        win.document.write(html);
+        win.document.close();
+        const images = Array.from(win.document.images);
+        Promise.all(images.map(img => img.complete ? null : new Promise(resolve => {
+            img.onload = img.onerror = resolve;
+        }))).then(() => win.print());
+    });
+}
+
+function currentReport() {
+    return buildReport(sim, recording, {
+        player: loadPlayerName() || t('report.anonymous'),
+        elapsed: G.elapsed,
+        fibers: G.totalFibers,
+        score: scoreRun(sim),
+        level: G.level ? G.level.def.id : null,
+        snapshots: { wound: snapshotWound(), coverage: snapshotCoverage() },
+    });
+}
+
+// The wound region of the surface texture, as the trainee left it
+function snapshotWound() {
+    const canvas = document.createElement('canvas');
+    canvas.width = canvas.height = SNAPSHOT_SIZE;
+    const woundPx = TEXTURE_SIZE * WOUND_WORLD / SURFACE_RADIUS;
+    const off = (TEXTURE_SIZE - woundPx) / 2;
+    canvas.getContext('2d').drawImage(woundCanvas, off, off, woundPx, woundPx, 0, 0, SNAPSHOT_SIZE, SNAPSHOT_SIZE);
+    return canvas.toDataURL('image/png');
+}
+
+// Coverage map colours (as in the overlay) on plain skin grey
+function snapshotCoverage() {
+    const grid = document.createElement('canvas');
+    grid.width = grid.height = W_GRID;
+    const gctx = grid.getContext('2d');
+    const img = gctx.createImageData(W_GRID, W_GRID);
+    for (let i = 0; i < W_GRID * W_GRID; i++) {
+        const c = sim.mask[i] ? coverageColor(i) : [226, 232, 240, 255];
+        img.data.set([c[0], c[1], c[2], 255], i * 4);
+    }
+    gctx.putImageData(img, 0, 0);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = canvas.height = SNAPSHOT_SIZE;
+    const ctx = canvas.getContext('2d');
+    ctx.imageSmoothingEnabled = false;
+    ctx.drawImage(grid, 0, 0, SNAPSHOT_SIZE, SNAPSHOT_SIZE);
+    return canvas.toDataURL('image/png');
+}
+
+// ─── Replay ──────────────────────────────────────────────────────────
+// Rebuilds the recorded wound, then feeds the timeline through animate()
+function startReplay(rec) {
+    leaveCampaign();
+    document.getElementById('intro-screen').style.display = 'none';
+    document.getElementById('win-screen').style.display = 'none';
+    resetGame(rec.seed, rec.woundType, rec.mask ? decodeMask(rec.mask) : null);
+    // Replays saved before body sites existed were sprayed on the flat pad
+    setSurface(rec.surface ?? 'flat');
+    // Replays saved before ambient or drug controls existed ran at the defaults
+    SLIDER_PARAMS.forEach(p => setParam(p, rec.params[p] ?? DEFAULT_PARAMS[p]));
+    setPolymer(rec.params.polymer);
+    setDrug(rec.params.drug ?? 'none');
+    G.replay = createPlayer(rec);
+    document.getElementById('replay-banner').style.display = 'flex';
+    startGame();
+}
+
+function stopReplay() {
+    // Taking over mid-replay is not recorded — the timeline no longer matches
+    if (G.phase === 'playing') recording = null;
+    G.replay = null;
+    G.isSpraying = false;
+    document.getElementById('replay-banner').style.display = 'none';
+    document.getElementById('spray-indicator').classList.remove('active');
+}
+
+// Run the recorded steps due this frame. The win check picks up a completed
+// wound; a recording that ends short of one (saved mid-run) goes back to
+// the start screen, with the wound cleared, rather than into a live run.
+function playReplay(dt) {
+    const done = advancePlayer(G.replay, dt, applyReplayEvent, stepDt => {
+        stepDeposition(stepDt, { aimX: G.aimX, aimZ: G.aimZ, spraying: G.isSpraying });
+        return sim.complete;
+    });
+    projectAimToScreen();
+    // Steps still in the worker may yet complete the wound
+    if (done && !sim.complete && !workerSteps) {
+        recording = null;
+        stopReplay();
+        resetSameWound();   // a live run must not start on the replayed deposit
+        G.phase = 'intro';
+        document.getElementById('hud').style.display = 'none';
+        document.getElementById('custom-cursor').style.display = 'none';
+        document.getElementById('intro-screen').style.display = '';
+    }
+}
+
+function applyReplayEvent(e) {
+    switch (e.type) {
+        case 'aim':
+            G.aimX = e.x;
+            G.aimZ = e.z;
+            G.hasAim = true;
+            break;
+        case 'spray':
+            G.isSpraying = e.on;
+            document.getElementById('spray-indicator').classList.toggle('active', e.on);
+            break;
+        case 'param':
+            setParam(e.name, e.value);
+            break;
+        case 'polymer':
+            setPolymer(e.id);
+            break;
+        case 'drug':
+            setDrug(e.id);
+            break;
+    }
+}
+
+// Keep screen-space effects (hit particles, spray ring) on the replayed aim
+function projectAimToScreen() {
+    const v = surfaceWorld(G.aimX, G.aimZ).project(camera);
+    G.mouseScreen.x = (v.x + 1) / 2 * window.innerWidth;
+    G.mouseScreen.y = (1 - v.y) / 2 * window.innerHeight;
+    const sprayInd = document.getElementById('spray-indicator');
+    sprayInd.style.left = G.mouseScreen.x + 'px';
+    sprayInd.style.top = G.mouseScreen.y + 'px';
+}
+
+function saveRecording() {
+    if (!recording) return;
+    downloadFile(`spincare-replay-${recording.seed}.json`, serializeRecording(recording), 'application/json');
+}
+
+function downloadFile(name, text, type) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = name;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Show the current seed in the HUD and keep the address bar shareable
+function updateSeedDisplay() {
+    const url = new URL(window.location.href);
+    if (WOUND_TYPES[sim.woundType]) {
+        document.getElementById('seed-text').textContent = `${sim.seed} · ${t('woundType.' + sim.woundType)}`;
+        url.searchParams.set('seed', sim.seed);
+        url.searchParams.set('type', sim.woundType);
+        url.searchParams.delete('preset');
+    } else {
+        // Imported and edited shapes can't be rebuilt from a seed — a saved
+        // preset is linked by name (on this machine), otherwise share a replay
+        document.getElementById('seed-text').textContent = woundPreset || t('woundType.' + sim.woundType);
+        url.searchParams.delete('seed');
+        url.searchParams.delete('type');
+        if (woundPreset) url.searchParams.set('preset', woundPreset);
+        else url.searchParams.delete('preset');
+    }
+    if (sim.surface === 'flat') url.searchParams.delete('site');
+    else url.searchParams.set('site', sim.surface);
+    window.history.replaceState(null, '', url);
+}
+
+// ─── Autopilot ───────────────────────────────────────────────────────
+// Plans a path over the wound (see autopilot.js) and steers the nozzle
+// along it from animate(); live aiming and settings wait until it stops
+let autopilotPattern = 'raster';
+let benchmarkToken = 0;   // bumped to drop a comparison still being computed
+
+function bindAutopilotUI() {
+    const select = document.getElementById('select-pattern');
+    Object.keys(PATTERNS).forEach(id => select.add(new Option('', id)));
+    select.value = autopilotPattern;
+    // A new pattern takes over from wherever the nozzle is
+    select.addEventListener('change', () => {
+        autopilotPattern = select.value;
+        if (G.autopilot) G.autopilot = createPilot(sim, autopilotPattern, G.aimX, G.aimZ);
+    });
+    document.getElementById('btn-autopilot').addEventListener('click', toggleAutopilot);
+    document.getElementById('btn-stop-autopilot').addEventListener('click', stopAutopilot);
+    document.getElementById('btn-autopilot-demo').addEventListener('click', () => {
+        startGame();
+        startAutopilot();
+    });
+    document.getElementById('btn-win-compare').addEventListener('click', runComparison);
+}
+
+function inputLocked() {
+    return !!(G.replay || G.autopilot);
+}
+
+// Not during replays or campaign levels — a level has to be flown by hand
+function startAutopilot(pattern = autopilotPattern) {
+    if (G.phase !== 'playing' || G.replay || G.level) return;
+    autopilotPattern = pattern;
+    document.getElementById('select-pattern').value = pattern;
+    G.autopilot = createPilot(sim, pattern, G.aimX, G.aimZ);
+    assisted = true;
+    document.getElementById('autopilot-banner').style.display = 'flex';
+    document.getElementById('btn-autopilot').classList.add('active');
+}
+
+function stopAutopilot() {
+    if (!G.autopilot) return;
+    G.autopilot = null;
+    setSpraying(false);
+    document.getElementById('autopilot-banner').style.display = 'none';
+    document.getElementById('btn-autopilot').classList.remove('active');
+}
+
+function toggleAutopilot() {
+    if (G.autopilot) stopAutopilot();
+    else startAutopilot();
+}
+
+// One frame of autopilot input; hands back control if it runs out of passes
+function steerAutopilot(dt) {
+    const input = stepPilot(G.autopilot, sim, dt);
+    G.aimX = input.aimX;
+    G.aimZ = input.aimZ;
+    G.hasAim = true;
+    if (input.spraying !== G.isSpraying) setSpraying(input.spraying);
+    projectAimToScreen();
+    if (G.autopilot.done) stopAutopilot();
+}
+
+// Win screen: every pattern on a copy of the finished wound with this run's
+// settings, one per timeout so the screen stays responsive
+function runComparison() {
+    const base = sim;
+    const token = ++benchmarkToken;
+    const body = document.getElementById('benchmark-body');
+    body.replaceChildren(benchmarkRow(t('autopilot.thisRun'), base, null));
+    document.getElementById('benchmark-card').style.display = 'block';
+    document.getElementById('btn-win-compare').disabled = true;
+    const patterns = Object.keys(PATTERNS);
+    const next = () => {
+        if (token !== benchmarkToken || !patterns.length) return;
+        const id = patterns.shift();
+        body.append(benchmarkRow(t('pattern.' + id), runBenchmark(base, id), id));
+        setTimeout(next, 0);
+    };
+    setTimeout(next, 0);
+}
+
+function clearBenchmark() {
+    benchmarkToken++;
+    document.getElementById('benchmark-card').style.display = 'none';
+    document.getElementById('btn-win-compare').disabled = false;
+}
+
+// Times are simulated seconds for every row, so they compare fairly
+function benchmarkRow(label, run, pattern) {
+    const score = scoreRun(run);
+    const tr = document.createElement('tr');
+    if (!pattern) tr.className = 'current';
+    [
+        [label, false],
+        [run.complete ? fmt(run.time, 1) + ' s' : t('autopilot.stalled'), true],
+        [fmt(depositionEfficiency(run)) + '%', true],
+        [fmt(score.categories.uniformity.value * 100) + '%', true],
+        [`${fmt(score.total)} ${score.grade}`, true],
+    ].forEach(([text, numeric]) => {
+        const td = tr.insertCell();
+        td.textContent = text;
+        if (numeric) td.className = 'num';
+    });
+    const td = tr.insertCell();
+    if (pattern) {
+        const btn = document.createElement('button');
+        btn.className = 'secondary-btn';
+        btn.textContent = t('autopilot.watch');
+        btn.addEventListener('click', () => watchAutopilot(pattern));
+        td.append(btn);
+    }
+    return tr;
+}
+
+// Fly the same wound again, live, with the pattern from the comparison
+function watchAutopilot(pattern) {
+    document.getElementById('win-screen').style.display = 'none';
+    resetSameWound();
+    startGame();
+    startAutopilot(pattern);
+}
+
+// ─── Wound Image Import ──────────────────────────────────────────────
+// A mask or clinical photo is sampled onto the wound grid, thresholded
+// (or colour-picked) with a live preview, then used instead of WOUND_TYPES
+const importState = { img: null, pixels: null, mask: null, color: [150, 40, 40] };
+
+function bindImportUI() {
+    const modal = document.getElementById('import-modal');
+    const fileInput = document.getElementById('import-file');
+    const open = () => { modal.style.display = 'flex'; };
+    document.getElementById('btn-import').addEventListener('click', open);
+    document.getElementById('btn-import-hud').addEventListener('click', open);
+    document.getElementById('close-import').addEventListener('click', () => { modal.style.display = 'none'; });
+    modal.addEventListener('click', e => {
+        if (e.target === e.currentTarget) modal.style.display = 'none';
+    });
+
+    document.getElementById('btn-import-file').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+        const file = fileInput.files[0];
+        fileInput.value = '';
+        if (!file) return;
+        loadImageFile(file).then(img => {
+            importState.img = img;
+            importState.pixels = sampleImage(img);
+            updateImportPreview();
+        }).catch(alertError);
+    });
+
+    modal.querySelectorAll('input[name="import-mode"]').forEach(r => r.addEventListener('change', updateImportPreview));
+    ['import-threshold', 'import-tolerance', 'import-invert'].forEach(id => {
+        document.getElementById(id).addEventListener('input', updateImportPreview);
+    });
+
+    // Photo mode: click the preview to pick the wound colour
+    const preview = document.getElementById('import-preview');
+    preview.addEventListener('click', e => {
+        if (!importState.pixels || importMode() !== 'photo') return;
+        const rect = preview.getBoundingClientRect();
+        const gx = Math.floor((e.clientX - rect.left) / rect.width * W_GRID);
+        const gy = Math.floor((e.clientY - rect.top) / rect.height * W_GRID);
+        const p = (gy * W_GRID + gx) * 4;
+        const d = importState.pixels.data;
+        if (d[p + 3] < 128) return;
+        importState.color = [d[p], d[p + 1], d[p + 2]];
+        updateImportPreview();
+    });
+
+    document.getElementById('btn-import-apply').addEventListener('click', () => {
+        if (!importState.mask) return;
+        if (G.replay) stopReplay();
+        leaveCampaign();
+        try {
+            resetGame(randomSeed(), 'image', importState.mask);
+            woundPreset = null;
+        } catch (err) {
+            alertError(err);
+            return;
+        }
+        modal.style.display = 'none';
+        document.getElementById('win-screen').style.display = 'none';
+        startGame();
+    });
+}
+
+function importMode() {
+    return document.querySelector('input[name="import-mode"]:checked').value;
+}
+
+function updateImportPreview() {
+    const mode = importMode();
+    const threshold = parseInt(document.getElementById('import-threshold').value, 10);
+    const tolerance = parseInt(document.getElementById('import-tolerance').value, 10);
+    document.getElementById('import-threshold-val').textContent = threshold;
+    document.getElementById('import-tolerance-val').textContent = tolerance;
+    document.getElementById('import-swatch').style.background = `rgb(${importState.color.join(',')})`;
+    document.querySelectorAll('.import-row[data-mode]').forEach(row => {
+        row.style.display = row.dataset.mode === mode ? '' : 'none';
+    });
+
+    const preview = document.getElementById('import-preview');
+    const ctx = preview.getContext('2d');
+    const size = preview.width;
+    ctx.clearRect(0, 0, size, size);
+    if (!importState.img) return;
+
+    importState.mask = rasterizeWound(importState.pixels, {
+        mode, threshold, tolerance,
+        invert: document.getElementById('import-invert').checked,
+        color: importState.color,
+    });
+
+    const r = fitRect(importState.img, size);
+    ctx.drawImage(importState.img, r.x, r.y, r.w, r.h);
+    // Wound cells that survive the circle clip, tinted
+    const cell = size / W_GRID;
+    let count = 0;
+    ctx.fillStyle = 'rgba(8, 145, 178, 0.55)';
+    for (let gy = 0; gy < W_GRID; gy++) {
+        for (let gx = 0; gx < W_GRID; gx++) {
+            if (!importState.mask[gy * W_GRID + gx] || !inWoundCircle(gx, gy)) continue;
+            ctx.fillRect(gx * cell, gy * cell, cell, cell);
+            count++;
+        }
+    }
+    ctx.strokeStyle = 'rgba(15, 23, 42, 0.5)';
+    ctx.setLineDash([4, 4]);
+    ctx.beginPath();
+    ctx.arc(size / 2, size / 2, size * 0.44, 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    document.getElementById('import-count').textContent = t('import.count', { n: count });
+    document.getElementById('btn-import-apply').disabled = count < MIN_WOUND_CELLS;
+}
+
+// ─── Wound Editor ────────────────────────────────────────────────────
+// Paint and erase wound cells straight onto the 3D surface; the wound
+// texture redraws live. Shapes are kept as named presets (wound-presets.js).
+const editor = {
+    tool: 'brush',      // brush | erase
+    size: 4,            // brush radius in grid cells
+    painting: false,
+    lastGX: null, lastGY: null,
+    dirty: false,
+    lastDraw: 0,
+    snapshot: null,     // wound on entry, restored on cancel
+};
+
+function bindEditorUI() {
+    document.getElementById('btn-editor').addEventListener('click', openEditor);
+    document.getElementById('btn-editor-hud').addEventListener('click', openEditor);
+    document.getElementById('btn-editor-play').addEventListener('click', playEditedWound);
+    document.getElementById('btn-editor-cancel').addEventListener('click', cancelEditor);
+
+    document.querySelectorAll('.editor-tool').forEach(btn => {
+        btn.addEventListener('click', () => {
+            editor.tool = btn.dataset.tool;
+            document.querySelectorAll('.editor-tool').forEach(b => b.classList.toggle('active', b === btn));
+        });
+    });
+    const sizeSlider = document.getElementById('editor-size');
+    sizeSlider.addEventListener('input', () => {
+        editor.size = parseInt(sizeSlider.value, 10);
+        document.getElementById('editor-size-val').textContent = editor.size;
+    });
+    document.getElementById('btn-editor-clear').addEventListener('click', () => {
+        clearWoundMask(sim);
+        woundPreset = null;
+        editor.dirty = true;
+    });
+
+    // Presets
+    const list = document.getElementById('preset-list');
+    const nameInput = document.getElementById('preset-name');
+    document.getElementById('btn-preset-save').addEventListener('click', () => {
+        const name = nameInput.value.trim();
+        if (!name) { nameInput.focus(); return; }
+        if (sim.woundCellCount < MIN_WOUND_CELLS) {
+            alert(t('editor.tooSmallSave', { n: MIN_WOUND_CELLS }));
+            return;
+        }
+        refreshPresetList(savePreset(name, sim.mask), name);
+        woundPreset = name;
+    });
+    document.getElementById('btn-preset-load').addEventListener('click', () => {
+        const preset = findPreset(list.value);
+        if (!preset) return;
+        try {
+            setWoundMask(sim, sim.seed, presetMask(preset), 'custom');
+        } catch (err) {
+            alertError(err);
+            return;
+        }
+        woundPreset = preset.name;
+        nameInput.value = preset.name;
+        editor.dirty = true;
+    });
+    document.getElementById('btn-preset-delete').addEventListener('click', () => {
+        if (!list.value || !confirm(t('editor.confirmDelete', { name: list.value }))) return;
+        if (woundPreset === list.value) woundPreset = null;
+        refreshPresetList(deletePreset(list.value));
+    });
+    document.getElementById('btn-preset-export').addEventListener('click', () => {
+        const presets = loadPresets();
+        if (!presets.length) return;
+        downloadFile('spincare-wounds.json', serializePresets(presets), 'application/json');
+    });
+    const presetFile = document.getElementById('preset-file');
+    document.getElementById('btn-preset-import').addEventListener('click', () => presetFile.click());
+    presetFile.addEventListener('change', () => {
+        const file = presetFile.files[0];
+        presetFile.value = '';
+        if (!file) return;
+        file.text().then(text => refreshPresetList(importPresets(text))).catch(alertError);
+    });
+}
+
+function refreshPresetList(presets = loadPresets(), select = null) {
+    const list = document.getElementById('preset-list');
+    const keep = select ?? list.value;
+    list.innerHTML = '';
+    presets.forEach(p => list.add(new Option(p.name, p.name)));
+    if (!presets.length) list.add(new Option(t('editor.noPresets'), ''));
+    if (presets.some(p => p.name === keep)) list.value = keep;
+}
+
+function openEditor() {
+    if (G.replay) stopReplay();
+    stopAutopilot();
+    leaveCampaign();
+    editor.snapshot = { seed: sim.seed, type: sim.woundType, mask: sim.mask.slice(), preset: woundPreset };
+    G.phase = 'editor';
+    G.isSpraying = false;
+    ['intro-screen', 'win-screen', 'hud'].forEach(id => {
+        document.getElementById(id).style.display = 'none';
+    });
+    document.getElementById('editor-panel').style.display = 'flex';
+    document.getElementById('custom-cursor').style.display = 'block';
+    document.getElementById('preset-name').value = woundPreset || '';
+    // Start from a clean surface so the painted shape is all you see
+    resetGame(sim.seed, sim.woundType, WOUND_TYPES[sim.woundType] ? null : sim.mask.slice());
+    refreshPresetList(undefined, woundPreset);
+    updateEditorCount();
+}
+
+function closeEditor() {
+    editor.painting = false;
+    document.getElementById('editor-panel').style.display = 'none';
+}
+
+function playEditedWound() {
+    if (sim.woundCellCount < MIN_WOUND_CELLS) {
+        alert(t('editor.tooSmall', { n: MIN_WOUND_CELLS }));
+        return;
+    }
+    closeEditor();
+    resetGame(randomSeed(), 'custom', sim.mask.slice());
+    startGame();
+}
+
+function cancelEditor() {
+    closeEditor();
+    const snap = editor.snapshot;
+    resetGame(snap.seed, snap.type, WOUND_TYPES[snap.type] ? null : snap.mask);
+    woundPreset = snap.preset;
+    updateSeedDisplay();
+    G.phase = 'intro';
+    document.getElementById('custom-cursor').style.display = 'none';
+    document.getElementById('intro-screen').style.display = '';
+}
+
+function startEditorStroke() {
+    editor.painting = true;
+    editor.lastGX = editor.lastGY = null;
+}
+
+// Called every frame in editor mode: paint along the aim path, then
+// redraw the wound texture at most ~8 times a second
+function updateEditor() {
+    if (editor.painting && G.hasAim) {
+        const { gx, gy } = worldToGrid(G.aimX, G.aimZ);
+        const value = editor.tool === 'brush' ? 1 : 0;
+        // Fill the gap since the last frame so fast strokes stay continuous
+        const fromX = editor.lastGX ?? gx, fromY = editor.lastGY ?? gy;
+        const steps = Math.max(1, Math.ceil(Math.hypot(gx - fromX, gy - fromY) / Math.max(1, editor.size / 2)));
+        for (let i = 1; i <= steps; i++) {
+            const t = i / steps;
+            if (paintMask(sim, fromX + (gx - fromX) * t, fromY + (gy - fromY) * t, editor.size, value)) {
+                editor.dirty = true;
+                woundPreset = null;
+            }
+        }
+        editor.lastGX = gx;
+        editor.lastGY = gy;
+    }
+    if (editor.dirty && performance.now() - editor.lastDraw > 120) {
+        redrawWoundTexture();
+        if (G.overlay) drawOverlay();
+        updateEditorCount();
+        editor.dirty = false;
+        editor.lastDraw = performance.now();
+    }
+}
+
+function updateEditorCount() {
+    const el = document.getElementById('editor-count');
+    el.textContent = t('editor.count', { n: sim.woundCellCount });
+    el.classList.toggle('warn', sim.woundCellCount < MIN_WOUND_CELLS);
+}
+
+// ─── Campaign ────────────────────────────────────────────────────────
+// Levels fix the wound, polymer and room; objectives are checked live and
+// each attempt ends on the level result screen instead of the win screen
+function bindCampaignUI() {
+    document.getElementById('btn-campaign').addEventListener('click', showLevelSelect);
+    document.getElementById('btn-level-back').addEventListener('click', () => {
+        document.getElementById('level-select').style.display = 'none';
+        document.getElementById('intro-screen').style.display = '';
+    });
+    document.getElementById('btn-level-retry').addEventListener('click', () => startLevel(G.level.index));
+    document.getElementById('btn-level-next').addEventListener('click', () => startLevel(G.level.index + 1));
+    document.getElementById('btn-level-menu').addEventListener('click', showLevelSelect);
+}
+
+function showLevelSelect() {
+    leaveCampaign();
+    G.phase = 'intro';
+    ['intro-screen', 'win-screen', 'level-result', 'hud', 'custom-cursor'].forEach(id => {
+        document.getElementById(id).style.display = 'none';
+    });
+    const progress = loadProgress();
+    const grid = document.getElementById('level-grid');
+    grid.innerHTML = '';
+    LEVELS.forEach((def, i) => {
+        const locked = i >= progress.unlocked;
+        const best = progress.best[def.id];
+        const card = document.createElement('button');
+        card.className = 'level-card' + (locked ? ' locked' : '') + (best != null ? ' done' : '');
+        card.disabled = locked;
+        card.innerHTML = `
+            <span class="level-num">${locked ? '🔒' : i + 1}</span>
+            <span class="level-name"></span>
+            <span class="level-meta"></span>`;
+        card.querySelector('.level-name').textContent = t(`level.${def.id}.title`);
+        card.querySelector('.level-meta').textContent = `${def.polymer} · ${best != null
+            ? t('level.best', { time: fmt(best, 1) })
+            : t(locked ? 'level.locked' : 'level.notPassed')}`;
+        card.addEventListener('click', () => startLevel(i));
+        grid.appendChild(card);
+    });
+    document.getElementById('level-select').style.display = 'flex';
+}
+
+function startLevel(index) {
+    const def = LEVELS[index];
+    if (!def) return;
+    if (G.replay) stopReplay();
+    G.level = { index, def };
+    ['level-select', 'level-result', 'win-screen'].forEach(id => {
+        document.getElementById(id).style.display = 'none';
+    });
+    resetGame(def.wound.seed, def.wound.type);
+    setSurface(def.surface ?? 'flat');
+    // Every attempt starts from the default device and drug settings in the level's room
+    const room = CLINIC_CONDITIONS[def.conditions];
+    ['voltage', 'distance', 'flowRate', 'drugLoading'].forEach(p => setParam(p, DEFAULT_PARAMS[p]));
+    setDrug(DEFAULT_PARAMS.drug);
+    setParam('humidity', room.humidity);
+    setParam('temperature', room.temperature);
+    setPolymer(def.polymer);
+    applyLevelLocks();
+
+    showLevelBrief();
+    document.getElementById('objectives-panel').style.display = 'block';
+    updateObjectives();
+    startGame();
+}
+
+function showLevelBrief() {
+    const { index, def } = G.level;
+    document.getElementById('objectives-title').textContent = `${index + 1}. ${t(`level.${def.id}.title`)}`;
+    document.getElementById('objectives-brief').textContent = t(`level.${def.id}.brief`);
+}
+
+function leaveCampaign() {
+    if (!G.level) return;
+    G.level = null;
+    applyLevelLocks();
+    document.getElementById('objectives-panel').style.display = 'none';
+}
+
+// Only the level's polymer can be picked and the room can't be changed
+function applyLevelLocks() {
+    const def = G.level && G.level.def;
+    document.querySelectorAll('.hud-poly').forEach(b => {
+        b.disabled = !!def && b.dataset.polymer !== def.polymer;
+    });
+    document.getElementById('btn-autopilot').disabled = !!def;
+    document.querySelectorAll('.surface-select').forEach(select => { select.disabled = !!def; });
+    ['slider-humidity', 'slider-temperature', 'select-conditions'].forEach(id => {
+        document.getElementById(id).disabled = !!def;
+    });
+}
+
+function updateObjectives(listId = 'objectives-list') {
+    const evaluation = evaluateLevel(G.level.def, sim);
+    renderObjectives(document.getElementById(listId), evaluation.objectives);
+    return evaluation;
+}
+
+function renderObjectives(list, objectives) {
+    list.innerHTML = '';
+    objectives.forEach(o => {
+        const li = document.createElement('li');
+        li.className = 'objective ' + o.status;
+        li.textContent = objectiveText(o);
+        list.appendChild(li);
+    });
+}
+
+function objectiveText(o) {
+    switch (o.id) {
+        case 'coverage':
+            return t('objective.coverage', { target: fmt(o.target), value: fmt(Math.floor(o.value)) });
+        case 'fiber':
+            return t('objective.fiber', {
+                min: fmt(o.target[0]), max: fmt(o.target[1]), value: o.value ? fmt(o.value) + ' nm' : '—',
+            });
+        case 'time':
+            return t('objective.time', { target: fmt(o.target), value: fmt(o.value, 1) });
+        case 'waste':
+            return t('objective.waste', { target: fmt(o.target), value: fmt(o.value, 1) });
+        case 'uniformity':
+            return t('objective.uniformity', {
+                target: fmt(o.target * 100),
+                value: o.value == null ? t('objective.atEnd') : fmt(o.value * 100) + '%',
+            });
+        default:
+            return o.id;
+    }
+}
+
+function finishLevel(evaluation) {
+    G.phase = 'won';
+    G.isSpraying = false;
+    document.getElementById('spray-indicator').classList.remove('active');
+    const { index, def } = G.level;
+    recordLevelResult(index, evaluation.passed, sim.time);
+
+    document.getElementById('level-result-icon').textContent = evaluation.passed ? '🏅' : '⚠️';
+    document.getElementById('level-result-title').textContent = t(evaluation.passed ? 'level.passed' : 'level.failed');
+    document.getElementById('level-result-title').classList.toggle('failed', !evaluation.passed);
+    document.getElementById('level-result-subtitle').textContent = `${index + 1}. ${t(`level.${def.id}.title`)}`;
+    renderObjectives(document.getElementById('level-result-list'), evaluation.objectives);
+    const hasNext = evaluation.passed && index + 1 < LEVELS.length;
+    document.getElementById('btn-level-next').style.display = hasNext ? '' : 'none';
+
+    setTimeout(() => {
+        document.getElementById('level-result').style.display = 'flex';
+        document.getElementById('custom-cursor').style.display = 'none';
+    }, 400);
+}
+
+// ─── Run History ─────────────────────────────────────────────────────
+// Every completed run is kept on this machine (see history.js) under the
+// trainee name typed on the intro screen
+let historyTab = 'recent';   // recent | bests | leaderboard
+
+function bindHistoryUI() {
+    const modal = document.getElementById('history-modal');
+    const nameInput = document.getElementById('player-name');
+    nameInput.value = loadPlayerName();
+    nameInput.addEventListener('input', () => savePlayerName(nameInput.value));
+
+    const typeSelect = document.getElementById('history-type');
+    [...Object.keys(WOUND_TYPES), 'image', 'custom'].forEach(type => typeSelect.add(new Option('', type)));
+    typeSelect.addEventListener('change', renderHistory);
+
+    const open = () => {
+        renderHistory();
+        modal.style.display = 'flex';
+    };
+    document.getElementById('btn-history').addEventListener('click', open);
+    document.getElementById('btn-win-history').addEventListener('click', open);
+    document.getElementById('close-history').addEventListener('click', () => { modal.style.display = 'none'; });
+    modal.addEventListener('click', e => {
+        if (e.target === e.currentTarget) modal.style.display = 'none';
+    });
+    modal.querySelectorAll('.history-tab').forEach(b => b.addEventListener('click', () => {
+        historyTab = b.dataset.tab;
+        renderHistory();
+    }));
+    document.getElementById('btn-history-clear').addEventListener('click', () => {
+        if (!confirm(t('history.confirmClear'))) return;
+        clearRuns();
+        renderHistory();
+    });
+}
+
+// Returns the updated run list
+function recordHistory(score) {
+    const run = createRun(sim, loadPlayerName(), {
+        fibers: G.totalFibers,
+        coverage: sim.coverage,
+        efficiency: depositionEfficiency(sim),
+        fiberDiameter: meanFiberDiameter(sim),
+        score: score.total,
+        grade: score.grade,
+    }, G.level ? G.level.def.id : null);
+    lastRunId = run.id;
+    return saveRun(run);
+}
+
+// Where the run just saved stands on its wound type's leaderboard.
+// runs: saveRun()'s list, null when nothing was saved
+function showHistoryNote(runs, watched) {
+    const note = document.getElementById('history-note');
+    if (watched) {
+        note.textContent = t(assisted ? 'history.autopilotNote' : 'history.replayNote');
+        return;
+    }
+    if (!runs) {
+        note.textContent = t('history.notSaved');
+        return;
+    }
+    const run = runs[0];
+    const board = leaderboard(runs, run.woundType, Infinity);
+    const rank = board.findIndex(r => r.id === run.id);
+    const type = t('woundType.' + run.woundType);
+    note.textContent = rank >= 0
+        ? t('history.savedRank', { player: run.player, rank: fmt(rank + 1), type })
+        : t('history.savedBest', {
+            player: run.player, type,
+            score: fmt(board.find(r => r.player.toLowerCase() === run.player.toLowerCase()).score),
+        });
+}
+
+// Column id → [value(run, index), numeric]; headers are 'history.col.<id>'
+const HISTORY_COLUMNS = {
+    rank: [(r, i) => fmt(i + 1), true],
+    date: [r => fmtDate(r.date)],
+    player: [r => r.player],
+    wound: [runWoundLabel],
+    polymer: [r => r.polymer],
+    settings: [r => `${fmt(r.params.voltage)} kV · ${fmt(r.params.distance)} cm · ${fmt(r.params.flowRate, 1)} mL/h`],
+    time: [r => fmt(r.time, 1) + ' s', true],
+    fibers: [r => fmt(r.fibers), true],
+    coverage: [r => fmt(r.coverage) + '%', true],
+    score: [r => `${fmt(r.score)} ${r.grade}`, true],
+};
+// Wound type, then the body site if it wasn't the flat pad, then the level
+function runWoundLabel(r) {
+    let label = t('woundType.' + r.woundType);
+    if (r.surface && r.surface !== 'flat') label += ' · ' + t('surface.' + r.surface);
+    return r.level ? `${label} (${r.level})` : label;
+}
+
+const HISTORY_TABS = {
+    recent: ['date', 'player', 'wound', 'polymer', 'settings', 'time', 'fibers', 'coverage', 'score'],
+    bests: ['wound', 'player', 'date', 'polymer', 'settings', 'time', 'score'],
+    leaderboard: ['rank', 'player', 'wound', 'date', 'polymer', 'time', 'score'],
+};
+
+function renderHistory() {
+    const runs = loadRuns();
+    const type = document.getElementById('history-type').value || null;
+    document.querySelectorAll('.history-tab').forEach(b => {
+        b.classList.toggle('active', b.dataset.tab === historyTab);
+    });
+
+    let rows;
+    if (historyTab === 'bests') {
+        rows = Object.values(bestsByWoundType(runs))
+            .filter(r => !type || r.woundType === type)
+            .sort((a, b) => a.woundType.localeCompare(b.woundType));
+    } else if (historyTab === 'leaderboard') {
+        rows = leaderboard(runs, type);
+    } else {
+        rows = runs.filter(r => !type || r.woundType === type);
+    }
+
+    const table = document.getElementById('history-table');
+    table.innerHTML = '';
+    const ids = HISTORY_TABS[historyTab];
+    const columns = ids.map(id => HISTORY_COLUMNS[id]);
+    const head = table.createTHead().insertRow();
+    for (const id of ids) {
+        const th = document.createElement('th');
+        th.textContent = id === 'rank' ? '#' : t('history.col.' + id);
+        head.appendChild(th);
+    }
+    const body = table.createTBody();
+    rows.forEach((run, i) => {
+        const tr = body.insertRow();
+        tr.classList.toggle('current', run.id === lastRunId);
+        for (const [value, numeric] of columns) {
+            const td = tr.insertCell();
+            td.textContent = value(run, i);
+            if (numeric) td.className = 'num';
+        }
+    });
+    if (!rows.length) {
+        const td = body.insertRow().insertCell();
+        td.colSpan = columns.length;
+        td.className = 'history-empty';
+        td.textContent = t('history.empty');
+    }
+    document.getElementById('history-count').textContent = t('history.count', { n: runs.length });
+}
+
+// ─── Language ────────────────────────────────────────────────────────
+// Markup text is swapped by i18n.js; everything app.js wrote into the page
+// is rewritten here after a switch. The win and result screens cover the
+// language pickers, so they are only ever drawn in the current language.
+function bindLocaleUI() {
+    const selects = document.querySelectorAll('.locale-select');
+    selects.forEach(select => {
+        Object.entries(LOCALES).forEach(([id, l]) => select.add(new Option(l.label, id)));
+        select.value = getLocale();
+        select.addEventListener('change', () => setLocale(select.value));
+    });
+    labelOptions();
+    onLocaleChange(id => {
+        selects.forEach(select => { select.value = id; });
+        labelOptions();
+        SLIDER_PARAMS.forEach(param => setParam(param, sim.params[param]));
+        updatePolymerDetails();
+        updateSeedDisplay();
+        updateHUD();
+        setOverlay(G.overlay);
+        updateImportPreview();
+        refreshPresetList();
+        if (G.phase === 'editor') updateEditorCount();
+        if (G.level) {
+            showLevelBrief();
+            updateObjectives();
+        }
+        if (G.phase === 'healing') updateHealingBanner();
+    });
+}
+
+// Room, drug, wound-type, path-pattern and body-site option labels
+function labelOptions() {
+    for (const opt of document.getElementById('select-conditions').options) {
+        const c = CLINIC_CONDITIONS[opt.value];
+        if (c) opt.text = `${t('conditions.' + opt.value)} · ${fmt(c.humidity)}% · ${fmt(c.temperature)}°C`;
+    }
+    for (const opt of document.getElementById('select-drug').options) {
+        const a = DRUG_AGENTS[opt.value];
+        if (a) opt.text = `${t('drug.' + opt.value)} (${a.example})`;
+    }
+    for (const opt of document.getElementById('history-type').options) {
+        if (opt.value) opt.text = t('woundType.' + opt.value);
+    }
+    for (const opt of document.getElementById('select-pattern').options) {
+        opt.text = t('pattern.' + opt.value);
+    }
+    document.querySelectorAll('.surface-select').forEach(select => {
+        for (const opt of select.options) opt.text = t('surface.' + opt.value);
+    });
+}
+
+// A failed load or import: userError()s in the current language, anything
+// else (a full storage quota, an unreadable file) with its own message
+function alertError(err) {
+    alert(err.key ? t(err.key, err.vars) : err.message);
+}
+
+// ─── Healing Time-lapse ──────────────────────────────────────────────
+// After a win the dressing is left on the wound for up to HEALING_MAX_DAYS;
+// new epithelium is painted over the fibers as it closes in from the edges
+const HEALING_DAYS_PER_SECOND = 2;
+const HEALING_STEP = 0.1 / GRID_SCALE;   // days per simulation step — the front moves a cell at most per step
+let _healingDebt = 0;
+
+function startHealing() {
+    if (G.replay) stopReplay();
+    G.phase = 'healing';
+    healing = createHealing(sim);
+    _healingDebt = 0;
+    setOverlay(null);
+    document.getElementById('win-screen').style.display = 'none';
+    document.getElementById('hud').style.display = 'none';
+    document.getElementById('healing-banner').style.display = 'flex';
+    document.getElementById('btn-heal-skip').style.display = '';
+    document.getElementById('btn-heal-done').style.display = 'none';
+    updateHealingBanner();
+}
+
+function updateHealing(dt) {
+    if (healing.done) return;
+    _healingDebt += dt * HEALING_DAYS_PER_SECOND;
+    while (_healingDebt >= HEALING_STEP && !healing.done) {
+        paintHealing(stepHealing(healing, HEALING_STEP));
+        _healingDebt -= HEALING_STEP;
+    }
+    updateHealingBanner();
+}
+
+function paintHealing(cells) {
+    if (!cells.length) return;
+    const indices = Int32Array.from(cells);
+    const states = Uint8Array.from(cells, i => (healing.closed[i] ? HEALED : healing.infected[i] ? INFECTED : GRANULATING));
+    sendPaint({ type: 'healing', cells: indices, states }, [indices.buffer, states.buffer]);
+}
+
+function updateHealingBanner() {
+    const h = healing;
+    document.getElementById('heal-day').textContent = fmt(Math.floor(h.day));
+    document.getElementById('heal-closed').textContent = fmt(Math.floor(closedPercent(h))) + '%';
+    document.getElementById('heal-scaffold').textContent = fmt(scaffoldRemaining(h) * 100) + '%';
+    const inf = document.getElementById('heal-infected');
+    inf.textContent = fmt(h.infectedCells);
+    inf.classList.toggle('warn', h.infectedCells > 0);
+    if (!h.done) return;
+    const closed = h.closedCells >= h.woundCells;
+    document.getElementById('heal-status').textContent = closed
+        ? t('heal.closedIn', { n: fmt(Math.ceil(h.day)) })
+        : t('heal.stillOpen', { n: fmt(HEALING_MAX_DAYS) });
+    document.getElementById('btn-heal-skip').style.display = 'none';
+    document.getElementById('btn-heal-done').style.display = '';
+}
+
+function endHealing() {
+    G.phase = 'won';
+    document.getElementById('healing-banner').style.display = 'none';
+    document.getElementById('heal-status').textContent = '';
+    document.getElementById('hud').style.display = 'block';
+    document.getElementById('win-screen').style.display = 'flex';
+}
+
 // ─── CSS Hit Particles ───────────────────────────────────────────────
 function spawnHitParticle(x, y, color) {
     const el = document.createElement('div');
     el.className = 'hit-particle';
     el.style.left = x + 'px';
     el.style.top = y + 'px';
-    el.style.background = color || POLYMERS[G.polymer].css;
+    el.style.background = color || POLYMERS[sim.params.polymer].css;
     el.style.setProperty('--dx', (Math.random() - 0.5) * 80 + 'px');
     el.style.setProperty('--dy', (Math.random() - 0.5) * 80 + 'px');
     document.body.appendChild(el);
@@ -1174,10 +2562,21 @@ function spawnHitParticle(x, y, color) {
 
 // ─── HUD ─────────────────────────────────────────────────────────────
 function updateHUD() {
-    const pct = Math.min(100, G.coverage);
+    const pct = Math.min(100, sim.coverage);
     document.getElementById('coverage-fill').style.width = pct + '%';
-    document.getElementById('coverage-text').textContent = Math.round(pct) + '%';
+    document.getElementById('coverage-text').textContent = fmt(pct) + '%';
     document.getElementById('coverage-glow').style.opacity = pct > 0 ? '1' : '0';
+    document.getElementById('thickness-text').textContent = fmt(sim.meanThickness, 1) + ' µm';
+    const overEl = document.getElementById('over-text');
+    overEl.textContent = fmt(sim.overPct) + '%';
+    overEl.classList.toggle('warn', sim.overPct >= 5);
+    const eff = depositionEfficiency(sim);
+    const effEl = document.getElementById('efficiency-text');
+    effEl.textContent = sim.waste.dispensed > 0 ? fmt(eff) + '%' : '—';
+    effEl.classList.toggle('warn', sim.waste.dispensed > 0 && eff < 40);
+    updateDrugDose();
+    // On a curved body part the distance to the skin changes with the aim
+    if (sim.surface !== 'flat') updateDerivedDisplay();
 
     if (pct >= 80) {
         document.getElementById('coverage-fill').style.background =
@@ -1195,20 +2594,183 @@ function updateHUD() {
     document.getElementById('timer-text').textContent = `${m}:${s}`;
 }
 
+// ─── Keyboard & Gamepad ──────────────────────────────────────────────
+// Alternatives to the mouse: the aim point glides over the wound at a set
+// speed and spraying is held on Space or the trigger. Directions follow
+// the screen (W / stick up moves away from the camera, however it is turned).
+const AIM_SPEED = 3;          // world units per second at full deflection
+const AIM_FINE = 0.3;         // speed factor while Shift is held
+const PAD_DEADZONE = 0.15;
+const AIM_KEYS = {
+    KeyW: [0, -1], ArrowUp: [0, -1], KeyS: [0, 1], ArrowDown: [0, 1],
+    KeyA: [-1, 0], ArrowLeft: [-1, 0], KeyD: [1, 0], ArrowRight: [1, 0],
+};
+// key → [param, direction]: one slider step per press
+const SLIDER_KEYS = {
+    KeyQ: ['voltage', -1], KeyE: ['voltage', 1],
+    KeyZ: ['distance', -1], KeyC: ['distance', 1],
+    KeyF: ['flowRate', -1], KeyR: ['flowRate', 1],
+};
+// Standard gamepad mapping
+const PAD = { a: 0, lb: 4, rb: 5, rt: 7, start: 9, up: 12, down: 13, left: 14, right: 15 };
+
+const heldKeys = new Set();
+let padPressed = [];       // button states on the previous poll, for press edges
+let padSpraying = false;
+
+function setSpraying(on) {
+    G.isSpraying = on;
+    document.getElementById('custom-cursor').classList.toggle('spraying', on);
+    document.getElementById('spray-indicator').classList.toggle('active', on);
+}
+
+// Typing in a name field or a dropdown keeps its keys
+function isTextField(el) {
+    return el.tagName === 'TEXTAREA' || el.tagName === 'SELECT' ||
+        (el.tagName === 'INPUT' && el.type !== 'range');
+}
+
+function bindKeyboard() {
+    document.addEventListener('keydown', e => {
+        if (isTextField(e.target) || G.phase !== 'playing' || G.replay) return;
+        if (e.code === 'KeyP') {
+            toggleAutopilot();
+            return;
+        }
+        if (G.autopilot) return;
+        if (e.key === 'Shift') {
+            heldKeys.add(e.code);
+        } else if (AIM_KEYS[e.code]) {
+            if (e.target.type === 'range') return;   // arrows still move a focused slider
+            heldKeys.add(e.code);
+            e.preventDefault();
+        } else if (e.code === 'Space') {
+            e.preventDefault();                       // no page scroll, no button click
+            if (!e.repeat) {
+                claimAim();
+                setSpraying(true);
+            }
+        } else if (SLIDER_KEYS[e.code]) {
+            nudgeParam(...SLIDER_KEYS[e.code]);
+        } else if (/^Digit[1-4]$/.test(e.code)) {
+            setPolymer(Object.keys(POLYMERS)[Number(e.code.slice(5)) - 1]);
+        } else if (e.code === 'KeyV') {
+            // Cycle the preset views; from a hand-moved camera, back to the default
+            const names = Object.keys(CAMERA_VIEWS);
+            setView(viewName ? names[(names.indexOf(viewName) + 1) % names.length] : 'default');
+        }
+    });
+    document.addEventListener('keyup', e => {
+        heldKeys.delete(e.code);
+        if (e.code !== 'Space' || isTextField(e.target) || inputLocked()) return;
+        e.preventDefault();
+        setSpraying(false);
+    });
+    // Keys released while the window is in the background never send keyup
+    window.addEventListener('blur', () => heldKeys.clear());
+}
+
+// One slider step up or down, within the slider's range
+function nudgeParam(param, dir) {
+    const slider = document.getElementById(`slider-${param}`);
+    if (slider.disabled) return;
+    const step = parseFloat(slider.step);
+    const v = Math.round((sim.params[param] + dir * step) / step) * step;
+    setParam(param, Math.min(parseFloat(slider.max), Math.max(parseFloat(slider.min), v)));
+}
+
+function activeGamepad() {
+    if (!navigator.getGamepads) return null;
+    return Array.from(navigator.getGamepads()).find(p => p && p.connected) || null;
+}
+
+// Called every frame: gamepad buttons, then keyboard + stick aiming
+function updateDirectInput(dt) {
+    const gp = activeGamepad();
+    const pressed = gp ? gp.buttons.map(b => b.pressed) : [];
+    const edge = i => pressed[i] && !padPressed[i];
+    padPressed = pressed;
+
+    // Start begins a session from the intro, or plays again from the win screen
+    if (edge(PAD.start)) {
+        if (G.phase === 'intro' && document.getElementById('intro-screen').style.display !== 'none') {
+            startGame();
+        } else if (G.phase === 'won') {
+            document.getElementById('win-screen').style.display = 'none';
+            restartGame();
+        }
+    }
+    if (G.phase !== 'playing' || inputLocked()) return;
+
+    let mx = 0, mz = 0;
+    if (gp) {
+        if (edge(PAD.lb)) nudgeParam('distance', -1);
+        if (edge(PAD.rb)) nudgeParam('distance', 1);
+        if (edge(PAD.up)) nudgeParam('voltage', 1);
+        if (edge(PAD.down)) nudgeParam('voltage', -1);
+        if (edge(PAD.left)) nudgeParam('flowRate', -1);
+        if (edge(PAD.right)) nudgeParam('flowRate', 1);
+        // Only act on trigger changes so the mouse and Space keep working
+        const trigger = (gp.buttons[PAD.rt] && gp.buttons[PAD.rt].value > 0.3) || !!pressed[PAD.a];
+        if (trigger !== padSpraying) {
+            padSpraying = trigger;
+            if (trigger) claimAim();
+            setSpraying(trigger);
+        }
+        const [sx, sy] = gp.axes;
+        if (Math.hypot(sx, sy) > PAD_DEADZONE) {
+            mx += sx;
+            mz += sy;
+        }
+    }
+    for (const code of heldKeys) {
+        const d = AIM_KEYS[code];
+        if (d) {
+            mx += d[0];
+            mz += d[1];
+        }
+    }
+
+    const len = Math.hypot(mx, mz);
+    if (len < 1e-3) return;
+    if (len > 1) { mx /= len; mz /= len; }
+    const fine = heldKeys.has('ShiftLeft') || heldKeys.has('ShiftRight');
+    const step = AIM_SPEED * (fine ? AIM_FINE : 1) * dt;
+    const [gx, gz] = screenToGround(mx, mz);
+    let x = G.aimX + gx * step, z = G.aimZ + gz * step;
+    // Stay on the treatment surface
+    const r = Math.hypot(x, z), maxR = SURFACE_RADIUS - 0.5;
+    if (r > maxR) { x *= maxR / r; z *= maxR / r; }
+    G.aimX = x;
+    G.aimZ = z;
+    claimAim();
+}
+
+// Keyboard / gamepad take over the aim from wherever it last was,
+// and the on-screen cursor follows
+function claimAim() {
+    G.hasAim = true;
+    projectAimToScreen();
+    const cursor = document.getElementById('custom-cursor');
+    cursor.style.left = G.mouseScreen.x + 'px';
+    cursor.style.top = G.mouseScreen.y + 'px';
+}
+
 // ─── Animation Loop ──────────────────────────────────────────────────
 function animate() {
     requestAnimationFrame(animate);
     const dt = Math.min(clock.getDelta(), 0.05);
     const time = clock.getElapsedTime();
 
-    // ── Device follows aim point directly ──
+    // ── Device follows aim point directly, straight above it ──
     const lerpSpeed = 10;
-    deviceGroup.position.x += (G.aimX - deviceGroup.position.x) * lerpSpeed * dt;
-    deviceGroup.position.z += (G.aimZ - deviceGroup.position.z) * lerpSpeed * dt;
+    const aim = surfaceWorld(G.aimX, G.aimZ);
+    deviceGroup.position.x += (aim.x - deviceGroup.position.x) * lerpSpeed * dt;
+    deviceGroup.position.z += (aim.z - deviceGroup.position.z) * lerpSpeed * dt;
 
     // Subtle tilt toward movement
-    const mvX = G.aimX - deviceGroup.position.x;
-    const mvZ = G.aimZ - deviceGroup.position.z;
+    const mvX = aim.x - deviceGroup.position.x;
+    const mvZ = aim.z - deviceGroup.position.z;
     deviceGroup.rotation.x = DEVICE_TILT + mvZ * 0.04;
     deviceGroup.rotation.z = -mvX * 0.04;
 
@@ -1221,14 +2783,31 @@ function animate() {
     const led = deviceGroup.getObjectByName('led');
     const trigger = deviceGroup.getObjectByName('trigger');
 
-    if (G.isSpraying && G.phase === 'playing' && G.hasAim) {
+    if (G.phase === 'playing' && G.autopilot) steerAutopilot(dt);
+
+    updateCamera(dt);
+    updateDirectInput(dt);
+    if (G.phase === 'editor') updateEditor();
+    if (G.phase === 'healing') updateHealing(dt);
+
+    // ── Simulation step — a replay drives it with the recorded steps ──
+    if (G.phase === 'playing' && G.replay) playReplay(dt);
+    const spraying = G.isSpraying && G.phase === 'playing' && G.hasAim;
+    if (G.phase === 'playing' && !G.replay) {
+        const input = { aimX: G.aimX, aimZ: G.aimZ, spraying };
+        const stepDt = stepLength(dt);
+        if (recording) recordFrame(recording, sim, input, stepDt);
+        stepDeposition(stepDt, input);
+    }
+
+    if (spraying) {
         // Glow emitter
         if (emitter) {
-            emitter.material.emissive.setHex(POLYMERS[G.polymer].hex);
+            emitter.material.emissive.setHex(POLYMERS[sim.params.polymer].hex);
             emitter.material.emissiveIntensity = 1.5 + Math.sin(time * 10) * 0.5;
         }
         if (emitLight) {
-            emitLight.color.setHex(POLYMERS[G.polymer].hex);
+            emitLight.color.setHex(POLYMERS[sim.params.polymer].hex);
             emitLight.intensity = 2 + Math.sin(time * 8) * 0.5;
         }
         if (led) {
@@ -1238,9 +2817,7 @@ function animate() {
         }
         if (trigger) trigger.position.z = -0.08;
 
-        // ★ Direct coverage at aim point — physics-derived radius
-        const phys = calcSprayPhysics();
-        sprayAtAim(G.aimX, G.aimZ, phys.sprayRadius, dt);
+        const phys = calcSprayPhysics(sprayParams(sim, G.aimX, G.aimZ));
 
         // Emit visual particles from device toward aim point
         const emitWorldPos = new THREE.Vector3();
@@ -1268,6 +2845,12 @@ function animate() {
         if (trigger) trigger.position.z = 0;
     }
 
+    // Overlay refresh (max ~6/s — it rewrites every cell)
+    if (G.overlay && G.phase === 'playing' && performance.now() - _lastOverlayDraw > 160) {
+        drawOverlay();
+        _lastOverlayDraw = performance.now();
+    }
+
     // Particles
     particleMat.uniforms.uTime.value = time;
     updateParticles(dt);
@@ -1275,8 +2858,15 @@ function animate() {
     // HUD
     updateHUD();
 
+    // Campaign objectives (~4/s) — time and waste limits can fail a level early
+    if (G.level && G.phase === 'playing' && !sim.complete && performance.now() - _lastObjectivesUpdate > 250) {
+        _lastObjectivesUpdate = performance.now();
+        const evaluation = updateObjectives();
+        if (evaluation.failed) finishLevel(evaluation);
+    }
+
     // Win
-    if (G.phase === 'playing' && G.coverage >= 99) {
+    if (G.phase === 'playing' && sim.complete) {
         triggerWin();
     }
 
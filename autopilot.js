@@ -0,0 +1,341 @@
+/* ===================================================================
+   SpinCare — Autopilot
+   Spray path planning (raster · spiral · contour) and a path follower
+   Pure module: no Three.js, no DOM — produces the same { aimX, aimZ,
+   spraying } input a player does, so it can drive a live session or a
+   headless benchmark run
+   =================================================================== */
+
+import {
+    W_GRID, WOUND_WORLD, CELL_SIZE, THICKNESS_BAND,
+    calcSprayPhysics, sprayParams, createSim, setWoundMask, stepSim,
+} from './sim.js';
+
+// How the nozzle sweeps the wound:
+//   raster  — back-and-forth lanes, the usual clinical technique
+//   spiral  — inward spiral around the wound's centre
+//   contour — rings that follow the wound edge, working inward
+export const PATTERNS = {
+    raster: { label: 'Raster' },
+    spiral: { label: 'Spiral' },
+    contour: { label: 'Contour' },
+};
+
+const LANE_SPACING = 0.8;     // gap between neighbouring passes, × spray radius
+const TARGET_THICKNESS = 1.5 * THICKNESS_BAND.min;   // usable µm one plan aims for
+const SPEED_RANGE = [0.2, 5]; // world units / s while spraying
+const TRANSIT_SPEED = 6;      // world units / s between strokes, spray off
+const MAX_PASSES = 5;         // plans per run — later ones only touch up what's left
+const BENCH_DT = 0.05;        // simulated s per benchmark step
+const BENCH_LIMIT = 300;      // simulated s before a benchmark run gives up
+
+// ─── Planning ────────────────────────────────────────────────────────
+// Path over the wound cells that are not counted yet, for the current
+// settings. Returns { points: [{ x, z, spray }], speed } in world units,
+// where spray says whether to spray on the way to that point, or null
+// when nothing is left to cover. The spray is sized as it lands at the
+// centre of what is left (on a curved surface the drop changes it).
+export function planPath(sim, pattern) {
+    const todo = new Uint8Array(W_GRID * W_GRID);
+    let cells = 0, usable = 0, cx = 0, cy = 0;
+    for (let i = 0; i < todo.length; i++) {
+        if (!sim.mask[i] || sim.coverageGrid[i] >= 1) continue;
+        todo[i] = 1;
+        cells++;
+        usable += sim.coverageGrid[i] * THICKNESS_BAND.min;
+        cx += i % W_GRID;
+        cy += Math.floor(i / W_GRID);
+    }
+    if (!cells) return null;
+
+    const toWorld = g => g / W_GRID * WOUND_WORLD * 2 - WOUND_WORLD;
+    const phys = calcSprayPhysics(sprayParams(sim, toWorld(cx / cells), toWorld(cy / cells)));
+    const sprayGrid = phys.sprayRadius / CELL_SIZE;
+    const lane = Math.max(1, sprayGrid * LANE_SPACING);
+    const plan = { raster: rasterPath, spiral: spiralPath, contour: contourPath }[pattern] || rasterPath;
+    const points = plan(todo, lane).map(p => ({
+        x: toWorld(p.gx),
+        z: toWorld(p.gy),
+        spray: p.spray,
+    }));
+
+    // Swept area × speed × thickness = deposited volume: pick the speed that
+    // lays the missing thickness in one go (the jet's footprint sum is the
+    // µm·cells it deposits per second at depositionRate)
+    const missing = Math.max(THICKNESS_BAND.min * 0.5, TARGET_THICKNESS - usable / cells);
+    const cellsPerSecond = phys.depositionRate * phys.quality * footprint(phys, sprayGrid) / (lane * missing);
+    const speed = Math.max(SPEED_RANGE[0], Math.min(SPEED_RANGE[1], cellsPerSecond * CELL_SIZE));
+    return { points, speed };
+}
+
+// Σ Gaussian falloff over one jet's disc — matches depositJet() in sim.js
+function footprint(phys, sprayGrid) {
+    const radius = phys.jets > 1 ? sprayGrid * 0.55 : sprayGrid;
+    const sigma = radius * phys.gaussianSigma;
+    const r = Math.ceil(radius);
+    let sum = 0;
+    for (let dx = -r; dx <= r; dx++) {
+        for (let dy = -r; dy <= r; dy++) {
+            const d2 = dx * dx + dy * dy;
+            if (d2 <= radius * radius) sum += Math.exp(-d2 / (2 * sigma * sigma));
+        }
+    }
+    return sum;
+}
+
+// Lanes across the bounding box, evenly spaced no wider than `lane`. On each
+// lane the nozzle sprays over the columns where the lane's band holds wound,
+// running a little past both ends so the edges get a full dose.
+function rasterPath(todo, lane) {
+    let minY = W_GRID, maxY = -1;
+    for (let i = 0; i < todo.length; i++) {
+        if (!todo[i]) continue;
+        const y = Math.floor(i / W_GRID);
+        if (y < minY) minY = y;
+        if (y > maxY) maxY = y;
+    }
+    const lanes = Math.ceil((maxY - minY + 1) / lane);
+    const spacing = (maxY - minY + 1) / lanes;
+    const overrun = spacing * 0.25;
+    const points = [];
+    for (let k = 0; k < lanes; k++) {
+        const y = minY - 0.5 + spacing * (k + 0.5);
+        const y0 = Math.max(0, Math.floor(y - spacing / 2 + 0.5));
+        const y1 = Math.min(W_GRID - 1, Math.floor(y + spacing / 2 + 0.5));
+        const runs = [];
+        let start = -1;
+        for (let x = 0; x <= W_GRID; x++) {
+            let hit = false;
+            for (let yy = y0; yy <= y1 && x < W_GRID && !hit; yy++) hit = todo[yy * W_GRID + x] === 1;
+            if (hit && start < 0) start = x;
+            if (!hit && start >= 0) {
+                const last = runs[runs.length - 1];
+                // Bridge narrow gaps rather than stopping and starting
+                if (last && start - last[1] <= 2) last[1] = x - 1;
+                else runs.push([start, x - 1]);
+                start = -1;
+            }
+        }
+        if (k % 2) runs.reverse().forEach(r => r.reverse());
+        for (const [a, b] of runs) {
+            const dir = Math.sign(b - a) || 1;
+            points.push({ gx: a - dir * overrun, gy: y, spray: false });
+            points.push({ gx: b + dir * overrun, gy: y, spray: true });
+        }
+    }
+    return points;
+}
+
+// Inward Archimedean spiral around the centroid, one lane per turn,
+// spraying only where the wound is within half a lane of the nozzle
+function spiralPath(todo, lane) {
+    let cx = 0, cy = 0, n = 0;
+    for (let i = 0; i < todo.length; i++) {
+        if (!todo[i]) continue;
+        cx += i % W_GRID;
+        cy += Math.floor(i / W_GRID);
+        n++;
+    }
+    cx /= n;
+    cy /= n;
+    let rMax = 0;
+    for (let i = 0; i < todo.length; i++) {
+        if (todo[i]) rMax = Math.max(rMax, Math.hypot(i % W_GRID - cx, Math.floor(i / W_GRID) - cy));
+    }
+
+    const near = distanceField(todo);
+    const points = [];
+    let r = Math.max(0, rMax - lane * 0.35), angle = 0;
+    while (r >= 0) {
+        const gx = cx + Math.cos(angle) * r, gy = cy + Math.sin(angle) * r;
+        points.push({ gx, gy, spray: nearWound(near, gx, gy, lane * 0.5) });
+        const step = 1 / Math.max(r, 1);   // ~one cell of arc per point
+        angle += step;
+        r -= lane * step / (Math.PI * 2);
+    }
+    return strokes(points);
+}
+
+// Rings at fixed depths inside the wound edge (from a distance field),
+// each traced as a chain of neighbouring cells, outermost ring first
+function contourPath(todo, lane) {
+    const outside = new Uint8Array(todo.length);
+    for (let i = 0; i < todo.length; i++) outside[i] = todo[i] ? 0 : 1;
+    const depth = distanceField(outside);
+    let deepest = 0;
+    for (let i = 0; i < todo.length; i++) if (todo[i]) deepest = Math.max(deepest, depth[i]);
+
+    const points = [];
+    const onRing = new Uint8Array(todo.length);
+    let pen = null;
+    const first = Math.min(lane * 0.35 + 1, deepest);
+    for (let d = first; d <= deepest + 0.5; d += lane) {
+        const ring = [];
+        for (let i = 0; i < todo.length; i++) {
+            if (!todo[i] || Math.abs(depth[i] - d) >= 0.75) continue;
+            ring.push({ gx: i % W_GRID, gy: Math.floor(i / W_GRID) });
+            onRing[i] = 1;
+        }
+        pen = traceRing(ring, pen, points, lane);
+    }
+
+    // Narrow parts (star arms, slits) never reach the first ring's depth:
+    // hop between what the rings' spray doesn't reach
+    const reach = distanceField(onRing);
+    const rest = [];
+    for (let i = 0; i < todo.length; i++) {
+        if (todo[i] && reach[i] > lane * 0.6) rest.push({ gx: i % W_GRID, gy: Math.floor(i / W_GRID) });
+    }
+    sweepRest(rest, pen, points, lane);
+    return points;
+}
+
+// Greedy nearest-neighbour walk through the ring's cells, starting next
+// to the pen; gaps wider than a couple of cells are crossed with the spray
+// off, then a short stroke across the cell the transit lands on
+function traceRing(cells, pen, points, lane) {
+    const left = cells.slice();
+    while (left.length) {
+        let best = 0, bestD = Infinity;
+        for (let i = 0; i < left.length; i++) {
+            const d = pen ? Math.hypot(left[i].gx - pen.gx, left[i].gy - pen.gy) : 0;
+            if (d < bestD) { best = i; bestD = d; }
+        }
+        const c = left[best];
+        left[best] = left[left.length - 1];
+        left.pop();
+        if (pen && bestD <= 2.5) {
+            points.push({ gx: c.gx, gy: c.gy, spray: true });
+        } else {
+            points.push({ gx: c.gx - lane * 0.25, gy: c.gy, spray: false });
+            points.push({ gx: c.gx + lane * 0.25, gy: c.gy, spray: true });
+        }
+        pen = c;
+    }
+    return pen;
+}
+
+// Nearest-first stops over scattered cells, each clearing half a lane
+// around it. Short hops spray on the way; after a longer transit the
+// nozzle sprays a short stroke across the stop so it gets a dose.
+function sweepRest(cells, pen, points, lane) {
+    let left = cells;
+    while (left.length) {
+        let best = left[0], bestD = Infinity;
+        for (const c of left) {
+            const d = pen ? Math.hypot(c.gx - pen.gx, c.gy - pen.gy) : 0;
+            if (d < bestD) { best = c; bestD = d; }
+        }
+        if (pen && bestD <= lane) {
+            points.push({ gx: best.gx, gy: best.gy, spray: true });
+        } else {
+            points.push({ gx: best.gx - lane * 0.25, gy: best.gy, spray: false });
+            points.push({ gx: best.gx + lane * 0.25, gy: best.gy, spray: true });
+        }
+        pen = best;
+        left = left.filter(c => Math.hypot(c.gx - best.gx, c.gy - best.gy) > lane * 0.5);
+    }
+}
+
+// Drop the spray-off points inside a run of them — only where a transit
+// starts and ends matters
+function strokes(points) {
+    return points.filter((p, i) => p.spray || !points[i + 1] || points[i + 1].spray);
+}
+
+function nearWound(near, gx, gy, radius) {
+    const x = Math.round(gx), y = Math.round(gy);
+    if (x < 0 || x >= W_GRID || y < 0 || y >= W_GRID) return false;
+    return near[y * W_GRID + x] <= radius;
+}
+
+// Chamfer distance (cells) from every cell to the nearest cell set in `source`
+function distanceField(source) {
+    const d = new Float32Array(source.length);
+    for (let i = 0; i < d.length; i++) d[i] = source[i] ? 0 : Infinity;
+    const relax = (i, x, y, ox, oy, cost) => {
+        const nx = x + ox, ny = y + oy;
+        if (nx < 0 || nx >= W_GRID || ny < 0 || ny >= W_GRID) return;
+        const v = d[ny * W_GRID + nx] + cost;
+        if (v < d[i]) d[i] = v;
+    };
+    for (let y = 0; y < W_GRID; y++) {
+        for (let x = 0; x < W_GRID; x++) {
+            const i = y * W_GRID + x;
+            relax(i, x, y, -1, 0, 1);
+            relax(i, x, y, 0, -1, 1);
+            relax(i, x, y, -1, -1, Math.SQRT2);
+            relax(i, x, y, 1, -1, Math.SQRT2);
+        }
+    }
+    for (let y = W_GRID - 1; y >= 0; y--) {
+        for (let x = W_GRID - 1; x >= 0; x--) {
+            const i = y * W_GRID + x;
+            relax(i, x, y, 1, 0, 1);
+            relax(i, x, y, 0, 1, 1);
+            relax(i, x, y, 1, 1, Math.SQRT2);
+            relax(i, x, y, -1, 1, Math.SQRT2);
+        }
+    }
+    return d;
+}
+
+// ─── Follower ────────────────────────────────────────────────────────
+// Walks the planned path at its spray speed (transits faster). When a
+// path ends short of a complete wound it plans again over what is left,
+// up to MAX_PASSES times. (x, z): where the nozzle starts.
+export function createPilot(sim, pattern, x = 0, z = 0) {
+    const pilot = { pattern, path: null, next: 0, passes: 0, x, z, spraying: false, done: false };
+    replan(pilot, sim);
+    return pilot;
+}
+
+function replan(pilot, sim) {
+    pilot.path = pilot.passes < MAX_PASSES ? planPath(sim, pilot.pattern) : null;
+    pilot.next = 0;
+    pilot.passes++;
+    if (!pilot.path) pilot.done = true;
+    return !pilot.done;
+}
+
+// Move the nozzle for dt seconds. Returns the stepSim() input.
+export function stepPilot(pilot, sim, dt) {
+    let budget = dt;
+    while (budget > 0 && !pilot.done) {
+        const p = pilot.path.points[pilot.next];
+        if (!p) {
+            if (sim.complete || !replan(pilot, sim)) pilot.done = true;
+            continue;
+        }
+        const speed = p.spray ? pilot.path.speed : TRANSIT_SPEED;
+        const dist = Math.hypot(p.x - pilot.x, p.z - pilot.z);
+        pilot.spraying = p.spray;
+        if (dist <= speed * budget) {
+            pilot.x = p.x;
+            pilot.z = p.z;
+            budget -= dist / speed;
+            pilot.next++;
+        } else {
+            pilot.x += (p.x - pilot.x) / dist * speed * budget;
+            pilot.z += (p.z - pilot.z) / dist * speed * budget;
+            budget = 0;
+        }
+    }
+    if (pilot.done) pilot.spraying = false;
+    return { aimX: pilot.x, aimZ: pilot.z, spraying: pilot.spraying };
+}
+
+// ─── Benchmark ───────────────────────────────────────────────────────
+// Run a pattern headless on a copy of the wound with the same settings.
+// Returns the finished copy (score it like any run) — check .complete,
+// a pattern that stalls gives up after BENCH_LIMIT simulated seconds.
+export function runBenchmark(sim, pattern) {
+    const bench = createSim({ seed: sim.seed, surface: sim.surface });
+    setWoundMask(bench, sim.seed, sim.mask.slice(), sim.woundType);
+    bench.params = { ...sim.params };
+    const pilot = createPilot(bench, pattern);
+    while (!bench.complete && !pilot.done && bench.time < BENCH_LIMIT) {
+        stepSim(bench, BENCH_DT, stepPilot(pilot, bench, BENCH_DT));
+    }
+    return bench;
+}
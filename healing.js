@@ -0,0 +1,136 @@
+/* ===================================================================
+   SpinCare — Healing Simulation
+   Epithelialization from the wound edges under the deposited scaffold
+   Pure module: no Three.js, no DOM — reads the final sim state
+   =================================================================== */
+
+import { W_GRID, GRID_SCALE, THICKNESS_BAND, POLYMERS, createRng } from './sim.js';
+
+export const HEALING_MAX_DAYS = 60;
+// Rates are tuned on a 128 grid. Distances in cells scale with GRID_SCALE and
+// per-cell chances with cell area, so the wound heals at the same pace.
+const EDGE_SPEED = 2.5 * GRID_SCALE;             // cells per day a fully supported edge advances
+const INFECTION_RATE = 0.012 / GRID_SCALE ** 2;  // chance per day a bare cell gets infected
+const SPREAD_RATE = 0.12 * GRID_SCALE;           // chance per day an infection reaches a neighbor
+const CLEAR_RATE = 0.06;         // chance per day an infected cell clears up
+
+// ─── Setup ───────────────────────────────────────────────────────────
+// Snapshot the dressing left by the spraying phase. The scaffold polymer
+// is the one selected at the end of the run.
+// support: 0–1 how well each cell's mat guides and protects new tissue —
+// full inside THICKNESS_BAND, proportional to coverage below it, and
+// reduced above it (an occlusive mat slows cell migration).
+export function createHealing(sim) {
+    const n = W_GRID * W_GRID;
+    const h = {
+        day: 0,
+        polymer: POLYMERS[sim.params.polymer],
+        mask: sim.mask,
+        support: new Float32Array(n),
+        progress: new Float32Array(n),  // 0–1 toward closed, per wound cell
+        closed: new Uint8Array(n),      // 1 = epithelium (skin counts as closed)
+        infected: new Uint8Array(n),
+        woundCells: sim.woundCellCount,
+        closedCells: 0,
+        infectedCells: 0,
+        peakInfected: 0,
+        changed: [],                    // cell indices that changed on the last step
+        done: false,
+        rand: createRng(sim.seed + ':healing'),
+    };
+    const { min, max } = THICKNESS_BAND;
+    for (let i = 0; i < n; i++) {
+        if (!sim.mask[i]) { h.closed[i] = 1; continue; }
+        const t = sim.thicknessGrid[i];
+        h.support[i] = t > max
+            ? Math.max(0.5, 1 - (t - max) / (2 * max))
+            : sim.coverageGrid[i];
+        if (t < min * 0.1) h.support[i] = 0;   // a few stray fibers don't count
+    }
+    return h;
+}
+
+// Share of the scaffold still in place — protection fades as it resorbs
+export function scaffoldRemaining(h) {
+    return Math.max(0, 1 - h.day / h.polymer.degradationDays);
+}
+
+export function closedPercent(h) {
+    return h.woundCells ? (h.closedCells / h.woundCells) * 100 : 100;
+}
+
+// ─── Step ────────────────────────────────────────────────────────────
+// Advance by dt days. Wound cells touching closed tissue close at a speed
+// set by their support and the remaining scaffold; infected cells barely
+// advance. Bare cells pick up infections, which spread to poorly covered
+// neighbors. Returns h.changed (cells to repaint).
+export function stepHealing(h, dt) {
+    h.changed.length = 0;
+    if (h.done) return h.changed;
+    h.day += dt;
+    const protect = 0.5 + 0.5 * scaffoldRemaining(h);
+    const guard = 1 - h.polymer.antimicrobial;
+    const { mask, support, progress, closed, infected, rand } = h;
+
+    for (let y = 0; y < W_GRID; y++) {
+        for (let x = 0; x < W_GRID; x++) {
+            const i = y * W_GRID + x;
+            if (!mask[i] || closed[i]) continue;
+            const s = support[i] * protect;
+
+            if (infected[i]) {
+                if (rand() < CLEAR_RATE * dt) {
+                    infected[i] = 0;
+                    h.infectedCells--;
+                    h.changed.push(i);
+                }
+            } else if (rand() < INFECTION_RATE * (1 - s) * guard * dt) {
+                infected[i] = 1;
+                h.infectedCells++;
+                h.changed.push(i);
+            }
+
+            // Epithelium only advances from an edge that is already closed
+            const edge = (x > 0 && closed[i - 1] === 1) || (x < W_GRID - 1 && closed[i + 1] === 1) ||
+                (y > 0 && closed[i - W_GRID] === 1) || (y < W_GRID - 1 && closed[i + W_GRID] === 1);
+            if (!edge) continue;
+            const speed = EDGE_SPEED * (0.25 + 0.75 * s) * (infected[i] ? 0.15 : 1);
+            progress[i] += speed * dt;
+            if (progress[i] >= 1) {
+                closed[i] = 2;  // becomes 1 below, so the front moves one cell per pass
+                h.changed.push(i);
+            }
+        }
+    }
+
+    // Spread infection to open neighbors with poor cover
+    if (h.infectedCells > 0) {
+        for (let i = 0; i < mask.length; i++) {
+            if (infected[i] !== 1 || closed[i]) continue;
+            const x = i % W_GRID;
+            for (const n of [x > 0 ? i - 1 : -1, x < W_GRID - 1 ? i + 1 : -1, i - W_GRID, i + W_GRID]) {
+                if (n < 0 || n >= mask.length || !mask[n] || closed[n] || infected[n]) continue;
+                if (rand() < SPREAD_RATE * (1 - support[n] * protect) * guard * dt) {
+                    infected[n] = 2;   // not spreading further this step
+                    h.infectedCells++;
+                    h.changed.push(n);
+                }
+            }
+        }
+    }
+
+    for (const i of h.changed) {
+        if (closed[i] === 2) {
+            closed[i] = 1;
+            h.closedCells++;
+            if (infected[i]) {
+                infected[i] = 0;
+                h.infectedCells--;
+            }
+        }
+        if (infected[i] === 2) infected[i] = 1;
+    }
+    h.peakInfected = Math.max(h.peakInfected, h.infectedCells);
+    if (h.closedCells >= h.woundCells || h.day >= HEALING_MAX_DAYS) h.done = true;
+    return h.changed;
+}
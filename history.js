@@ -0,0 +1,92 @@
+/* ===================================================================
+   SpinCare — Run History
+   Completed runs · Per-wound-type bests · Local leaderboard
+   Runs are kept in localStorage; ranking helpers are pure
+   =================================================================== */
+
+const STORAGE_KEY = 'spincare.history';
+const PLAYER_KEY = 'spincare.player';
+const MAX_RUNS = 500;   // oldest runs are dropped beyond this
+
+// ─── Storage ─────────────────────────────────────────────────────────
+// Stored newest first as [run], see createRun(). A missing or unreadable
+// store is treated as empty.
+export function loadRuns() {
+    try {
+        const list = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        return Array.isArray(list) ? list.filter(r => r && typeof r.woundType === 'string') : [];
+    } catch {
+        return [];
+    }
+}
+
+// Returns the new list, or null when storage is full or blocked (the run
+// is then not kept)
+export function saveRun(run) {
+    const list = [run, ...loadRuns()].slice(0, MAX_RUNS);
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(list));
+    } catch {
+        return null;
+    }
+    return list;
+}
+
+export function clearRuns() {
+    localStorage.removeItem(STORAGE_KEY);
+    return [];
+}
+
+// Shared machines: whoever is practising types their name once per session
+export function loadPlayerName() {
+    return localStorage.getItem(PLAYER_KEY) || '';
+}
+
+export function savePlayerName(name) {
+    localStorage.setItem(PLAYER_KEY, name.trim());
+}
+
+// ─── Runs ────────────────────────────────────────────────────────────
+// Snapshot of a completed run. stats: { fibers, coverage, efficiency,
+// fiberDiameter, score, grade }; level: campaign level id or null.
+// time is simulated seconds, so runs are comparable across machines.
+export function createRun(sim, player, stats, level = null) {
+    return {
+        id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+        date: new Date().toISOString(),
+        player: player || 'Anonymous',
+        woundType: sim.woundType,
+        seed: sim.seed,
+        surface: sim.surface,
+        level,
+        polymer: sim.params.polymer,
+        params: { ...sim.params },
+        time: sim.time,
+        ...stats,
+    };
+}
+
+// Higher score first, then the faster run
+function compareRuns(a, b) {
+    return (b.score - a.score) || (a.time - b.time);
+}
+
+// { [woundType]: best run }
+export function bestsByWoundType(runs) {
+    const bests = {};
+    for (const r of runs) {
+        if (!bests[r.woundType] || compareRuns(r, bests[r.woundType]) < 0) bests[r.woundType] = r;
+    }
+    return bests;
+}
+
+// Each player's best run, ranked. woundType: restrict to one type, or null for all.
+export function leaderboard(runs, woundType = null, limit = 10) {
+    const best = new Map();
+    for (const r of runs) {
+        if (woundType && r.woundType !== woundType) continue;
+        const key = r.player.toLowerCase();
+        if (!best.has(key) || compareRuns(r, best.get(key)) < 0) best.set(key, r);
+    }
+    return [...best.values()].sort(compareRuns).slice(0, limit);
+}
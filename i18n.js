@@ -0,0 +1,101 @@
+/* ===================================================================
+   SpinCare — Localization
+   String catalogs · Language switch · Locale-aware numbers and dates
+   Static text is written in English in index.html and tagged with
+   data-i18n keys; text built at runtime goes through t(). Needs a DOM.
+   =================================================================== */
+
+import EN from './locale-en.js';
+import TH from './locale-th.js';
+
+// intl: BCP 47 tag for Intl number / date / plural rules
+export const LOCALES = {
+    en: { label: 'English', intl: 'en-US', strings: EN },
+    th: { label: 'ไทย', intl: 'th-TH', strings: TH },
+};
+const STORAGE_KEY = 'spincare.locale';
+
+// data-* attribute → how the translated string is applied
+const BINDINGS = [
+    ['i18n', el => el.textContent, (el, s) => { el.textContent = s; }],
+    ['i18nHtml', el => el.innerHTML, (el, s) => { el.innerHTML = s; }],   // catalog HTML only
+    ['i18nTitle', el => el.title, (el, s) => { el.title = s; }],
+    ['i18nPlaceholder', el => el.placeholder, (el, s) => { el.placeholder = s; }],
+];
+
+let locale = 'en';
+const listeners = [];
+const markupEnglish = new Map();   // key → English text as written in index.html
+const numberFormats = new Map();
+
+// Stored choice, else the browser language, else English
+export function initLocale() {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    const browser = (navigator.language || '').slice(0, 2).toLowerCase();
+    setLocale(LOCALES[stored] ? stored : LOCALES[browser] ? browser : 'en', false);
+}
+
+export function getLocale() {
+    return locale;
+}
+
+export function setLocale(id, persist = true) {
+    if (!LOCALES[id]) return;
+    locale = id;
+    if (persist) localStorage.setItem(STORAGE_KEY, id);
+    document.documentElement.lang = id;
+    translateDocument();
+    listeners.forEach(fn => fn(id));
+}
+
+// fn(localeId) after every switch — for text that was built at runtime
+export function onLocaleChange(fn) {
+    listeners.push(fn);
+}
+
+// t('history.count', { n: 3 }) fills {name} placeholders from vars. With a
+// numeric vars.n, a plural form 'key.one' / 'key.other' is used where the
+// catalog has one (Thai has none), and a whole n is shown through fmt().
+// Missing keys fall back to English, then to the key itself.
+export function t(key, vars) {
+    const counted = vars && typeof vars.n === 'number';
+    const keys = counted
+        ? [`${key}.${new Intl.PluralRules(LOCALES[locale].intl).select(vars.n)}`, `${key}.other`, key]
+        : [key];
+    if (counted && Number.isInteger(vars.n)) vars = { ...vars, n: fmt(vars.n) };
+    const s = lookup(LOCALES[locale].strings, keys) ?? lookup(EN, keys) ?? markupEnglish.get(key) ?? key;
+    return vars ? s.replace(/\{(\w+)\}/g, (m, name) => (name in vars ? vars[name] : m)) : s;
+}
+
+function lookup(strings, keys) {
+    for (const k of keys) if (k in strings) return strings[k];
+    return undefined;
+}
+
+// Number with a fixed count of decimals, grouped the local way
+export function fmt(value, digits = 0) {
+    const id = `${locale}:${digits}`;
+    if (!numberFormats.has(id)) {
+        numberFormats.set(id, new Intl.NumberFormat(LOCALES[locale].intl, {
+            minimumFractionDigits: digits, maximumFractionDigits: digits,
+        }));
+    }
+    return numberFormats.get(id).format(value);
+}
+
+export function fmtDate(date) {
+    return new Date(date).toLocaleString(LOCALES[locale].intl, { dateStyle: 'short', timeStyle: 'short' });
+}
+
+// Re-apply every data-i18n* binding. The English markup is remembered on
+// first sight so switching back restores it.
+function translateDocument() {
+    for (const [attr, get, set] of BINDINGS) {
+        const selector = '[data-' + attr.replace(/[A-Z]/g, c => '-' + c.toLowerCase()) + ']';
+        document.querySelectorAll(selector).forEach(el => {
+            const key = el.dataset[attr];
+            if (!markupEnglish.has(key)) markupEnglish.set(key, get(el));
+            set(el, t(key));
+        });
+    }
+}
@@ -0,0 +1,137 @@
+/* ===================================================================
+   SpinCare — Campaign Levels
+   Level definitions · Objective checks · Unlock progress
+   Objective checks are pure; progress is kept in localStorage
+   =================================================================== */
+
+import { WIN_COVERAGE, meanFiberDiameter, coverageUniformity } from './sim.js';
+
+// ─── Levels ──────────────────────────────────────────────────────────
+// wound:         seed + WOUND_TYPES key (same seed = same wound for everyone)
+// polymer:       the only polymer allowed
+// conditions:    CLINIC_CONDITIONS key — room conditions are fixed for the level
+// fiberRange:    [min, max] nm for the mean deposited fiber diameter
+// timeLimit:     simulated seconds, or null
+// wasteBudget:   µL that may land on skin or off-target, or null
+// minUniformity: 0–1 coverageUniformity() at completion, or null
+export const LEVELS = [
+    {
+        id: 'first-dressing',
+        title: 'First Dressing',
+        brief: 'A clean abrasion. Cover it completely with PCL fibers.',
+        wound: { seed: 'campaign-1', type: 'blob' },
+        polymer: 'PCL', conditions: 'theatre',
+        fiberRange: [200, 600], timeLimit: null, wasteBudget: null, minUniformity: null,
+    },
+    {
+        id: 'steady-hand',
+        title: 'Steady Hand',
+        brief: 'Polymer is expensive. Keep the spray on the wound, not the skin.',
+        wound: { seed: 'campaign-2', type: 'oval' },
+        polymer: 'PCL', conditions: 'theatre',
+        fiberRange: [200, 600], timeLimit: null, wasteBudget: 6, minUniformity: null,
+    },
+    {
+        id: 'fine-fibers',
+        title: 'Fine Fibers',
+        brief: 'This burn needs a fine PVA mesh. Raise the voltage or slow the flow to thin the fibers.',
+        wound: { seed: 'campaign-3', type: 'star' },
+        polymer: 'PVA', conditions: 'theatre',
+        fiberRange: [120, 170], timeLimit: null, wasteBudget: null, minUniformity: null,
+    },
+    {
+        id: 'against-the-clock',
+        title: 'Against the Clock',
+        brief: 'A laceration in a busy ward. Dress it with PLGA before time runs out.',
+        wound: { seed: 'campaign-4', type: 'gash' },
+        polymer: 'PLGA', conditions: 'theatre',
+        fiberRange: [250, 450], timeLimit: 25, wasteBudget: null, minUniformity: null,
+    },
+    {
+        id: 'even-coat',
+        title: 'Even Coat',
+        brief: 'Scattered lesions. Build an even chitosan layer — no thick patches.',
+        wound: { seed: 'campaign-5', type: 'spots' },
+        polymer: 'Chitosan', conditions: 'theatre',
+        fiberRange: [150, 350], timeLimit: null, wasteBudget: null, minUniformity: 0.7,
+    },
+    {
+        id: 'monsoon',
+        title: 'Monsoon Clinic',
+        brief: 'Humid air, no air conditioning. Find settings that still spin clean PCL fibers.',
+        wound: { seed: 'campaign-6', type: 'blob' },
+        polymer: 'PCL', conditions: 'tropical',
+        fiberRange: [240, 320], timeLimit: null, wasteBudget: 10, minUniformity: null,
+    },
+    {
+        id: 'final-exam',
+        title: 'Final Exam',
+        brief: 'Dry winter clinic, tight specification. Everything counts.',
+        wound: { seed: 'campaign-7', type: 'star' },
+        polymer: 'PLGA', conditions: 'winter',
+        fiberRange: [280, 340], timeLimit: 60, wasteBudget: 8, minUniformity: 0.65,
+    },
+];
+
+// ─── Objectives ──────────────────────────────────────────────────────
+// Returns { objectives, failed, passed }. Each objective is
+// { id, value, target, status } with status 'ok' | 'pending' | 'failed'.
+// Time and waste fail as soon as they are exceeded; fiber diameter and
+// uniformity are only final once the wound is complete.
+export function evaluateLevel(level, sim) {
+    const done = sim.complete;
+    const objectives = [];
+    const add = (id, value, target, ok, failNow) => {
+        objectives.push({
+            id, value, target,
+            status: failNow ? 'failed' : ok ? 'ok' : done ? 'failed' : 'pending',
+        });
+    };
+
+    add('coverage', sim.coverage, WIN_COVERAGE, done, false);
+
+    const [lo, hi] = level.fiberRange;
+    const dia = meanFiberDiameter(sim);
+    add('fiber', dia, level.fiberRange, done && dia >= lo && dia <= hi, false);
+
+    if (level.timeLimit != null) {
+        add('time', sim.time, level.timeLimit, done && sim.time <= level.timeLimit, sim.time > level.timeLimit);
+    }
+    if (level.wasteBudget != null) {
+        const waste = sim.waste.skin + sim.waste.offTarget;
+        add('waste', waste, level.wasteBudget, done && waste <= level.wasteBudget, waste > level.wasteBudget);
+    }
+    if (level.minUniformity != null) {
+        const u = done ? coverageUniformity(sim) : null;
+        add('uniformity', u, level.minUniformity, done && u >= level.minUniformity, false);
+    }
+
+    const failed = objectives.some(o => o.status === 'failed');
+    return { objectives, failed, passed: done && !failed };
+}
+
+// ─── Progress ────────────────────────────────────────────────────────
+// { unlocked: number of playable levels, best: { [id]: simulated seconds } }
+const STORAGE_KEY = 'spincare.campaign';
+
+export function loadProgress() {
+    try {
+        const p = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        if (p && Number.isInteger(p.unlocked) && p.best) return p;
+    } catch { /* fall through to a fresh campaign */ }
+    return { unlocked: 1, best: {} };
+}
+
+// Store a finished attempt; passing unlocks the next level
+export function recordLevelResult(index, passed, time) {
+    const progress = loadProgress();
+    if (passed) {
+        const id = LEVELS[index].id;
+        if (!(progress.best[id] <= time)) progress.best[id] = time;
+        progress.unlocked = Math.min(LEVELS.length, Math.max(progress.unlocked, index + 2));
+    }
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(progress));
+    } catch { /* storage full or blocked: the result still shows, it is just not kept */ }
+    return progress;
+}
@@ -0,0 +1,179 @@
+/* ===================================================================
+   SpinCare — English strings
+   Text built at runtime. Static markup text stays in index.html, where
+   its data-i18n keys are read from; names of regimes, rooms, polymers,
+   drugs, score categories, levels, autopilot patterns and body sites
+   come from the modules that own them.
+   =================================================================== */
+
+import { REGIMES, CLINIC_CONDITIONS, POLYMERS } from './sim.js';
+import { DRUG_AGENTS } from './drug.js';
+import { SCORE_CATEGORIES } from './scoring.js';
+import { LEVELS } from './levels.js';
+import { PATTERNS } from './autopilot.js';
+import { SURFACES } from './surface.js';
+
+// { 'prefix.id': table[id][field] } for every entry of a data table
+function labels(prefix, table, field) {
+    return Object.fromEntries(Object.entries(table).map(([id, v]) => [`${prefix}.${id}`, v[field]]));
+}
+
+export default {
+    ...labels('regime', REGIMES, 'label'),
+    ...labels('conditions', CLINIC_CONDITIONS, 'label'),
+    ...labels('drug', DRUG_AGENTS, 'name'),
+    ...labels('score.cat', SCORE_CATEGORIES, 'label'),
+    ...labels('pattern', PATTERNS, 'label'),
+    ...labels('surface', SURFACES, 'label'),
+    ...Object.fromEntries(Object.entries(POLYMERS).flatMap(([id, p]) => [
+        [`polymer.${id}.name`, p.name],
+        [`polymer.${id}.solvent`, p.solvent],
+    ])),
+    ...Object.fromEntries(LEVELS.flatMap(l => [
+        [`level.${l.id}.title`, l.title],
+        [`level.${l.id}.brief`, l.brief],
+    ])),
+
+    'woundType.blob': 'blob',
+    'woundType.oval': 'oval',
+    'woundType.star': 'star',
+    'woundType.gash': 'gash',
+    'woundType.spots': 'spots',
+    'woundType.image': 'image',
+    'woundType.custom': 'custom',
+
+    // HUD
+    'overlay.off': 'Thickness / coverage map',
+    'overlay.thickness': 'Thickness map (click to switch)',
+    'overlay.coverage': 'Coverage map (click to switch)',
+    'overlay.gaps': '{bare} bare · {partial} partial',
+    'fiber.drops': '{size} µm drops',
+    'poly.months': '~{n} months',
+    'poly.days': '~{n} days',
+    'poly.high': 'High',
+    'poly.medium': 'Medium',
+    'poly.low': 'Low',
+
+    // Win screen
+    'score.wasted': '{pct}% wasted',
+    'score.fiber': '{value} nm (target {target})',
+    'release.title': '{agent} release',
+    'release.never': '> 1 year',
+    'release.hours': '{n} h',
+    'release.days': '{n} d',
+
+    // Import & editor
+    'import.count.one': '{n} wound cell',
+    'import.count.other': '{n} wound cells',
+    'editor.count.one': '{n} cell',
+    'editor.count.other': '{n} cells',
+    'editor.tooSmall': 'Paint at least {n} wound cells first',
+    'editor.tooSmallSave': 'Paint at least {n} wound cells before saving',
+    'editor.confirmDelete': 'Delete preset "{name}"?',
+    'editor.noPresets': 'No saved wounds',
+
+    // Printable session report
+    'report.title': 'SpinCare Session Report',
+    'report.pageTitle': 'SpinCare session report — {player}',
+    'report.anonymous': 'Anonymous',
+    'report.wound': 'Wound',
+    'report.woundSeed': '{type} · seed {seed}',
+    'report.woundLevel': '{type} · seed {seed} · level {level}',
+    'report.woundSize': 'Wound size',
+    'report.cells.one': '{n} cell',
+    'report.cells.other': '{n} cells',
+    'report.surface': 'Body site',
+    'report.time': 'Time',
+    'report.timeValue': '{sim} s simulated ({clock} s on the clock)',
+    'report.fibers': 'Fibers',
+    'report.coverage': 'Coverage',
+    'report.thickness': 'Mean thickness',
+    'report.thicknessValue': '{mean} µm ({under}% under, {over}% over band)',
+    'report.fiberDiameter': 'Fiber diameter',
+    'report.uniformity': 'Uniformity',
+    'report.efficiency': 'Efficiency',
+    'report.efficiencyValue': '{pct}% of {dispensed} µL dispensed',
+    'report.score': 'Score',
+    'report.scoreValue': '{score} / 100 ({grade})',
+    'report.drug': 'Drug',
+    'report.drugValue': '{agent} at {loading}% w/w · {dose} µg on the wound',
+    'report.release': 'Release',
+    'report.releaseValue': '{burst}% in 24 h · 50% by {t50} · 90% by {t90}',
+    'report.snapshots': 'Snapshots',
+    'report.dressing': 'Dressing',
+    'report.coverageMap': 'Coverage map',
+    'report.noSnapshots': 'Not available.',
+    'report.timeline': 'Settings Over Time',
+    'report.col.from': 'From',
+    'report.col.polymer': 'Polymer',
+    'report.col.voltage': 'Voltage',
+    'report.col.distance': 'Distance',
+    'report.col.flow': 'Flow',
+    'report.col.room': 'Room',
+    'report.col.drug': 'Drug',
+
+    // Load and import errors (userError() in sim.js)
+    'error.woundTooSmall': 'Wound is too small ({count} cells, need {min})',
+    'error.maskCorrupt': 'Wound mask data is corrupt',
+    'error.maskNotSquare': 'Wound mask is not square',
+    'error.imageType': 'Please choose a PNG or JPEG image',
+    'error.imageRead': 'Could not read that image',
+    'error.presetJson': 'Preset file is not valid JSON',
+    'error.presetKind': 'Not a SpinCare wound preset file',
+    'error.presetVersion': 'Unsupported preset file version: {version}',
+    'error.presetName': 'Preset without a name',
+    'error.replayJson': 'Replay file is not valid JSON',
+    'error.replayVersion': 'Unsupported replay version: {version}',
+    'error.replayIncomplete': 'Replay file is missing seed, params or events',
+    'error.replayMask': 'Replay file has an invalid wound mask',
+    'error.replaySurface': 'Replay file is for an unknown body site: {surface}',
+    'error.replayFrames': 'Replay file has invalid step lengths',
+    'error.replayParam': 'Replay file has an invalid {name}',
+    'error.replayPolymer': 'Replay file uses an unknown polymer: {id}',
+    'error.replayDrug': 'Replay file uses an unknown drug: {id}',
+    'error.replayEvent': 'Replay event {index} is invalid',
+    'error.replayTimeOrder': 'Replay event {index} is out of time order',
+    'error.replayStepOrder': 'Replay event {index} is out of step order',
+
+    // Campaign
+    'level.best': 'best {time} s',
+    'level.locked': 'locked',
+    'level.notPassed': 'not passed',
+    'level.passed': 'Level Passed',
+    'level.failed': 'Level Failed',
+    'objective.coverage': 'Cover {target}% of the wound ({value}%)',
+    'objective.fiber': 'Fiber Ø {min}–{max} nm ({value})',
+    'objective.time': 'Finish within {target} s ({value} s)',
+    'objective.waste': 'Waste under {target} µL ({value} µL)',
+    'objective.uniformity': 'Uniformity ≥ {target}% ({value})',
+    'objective.atEnd': 'at the end',
+
+    // Run history
+    'history.replayNote': 'Replays are not added to the run history.',
+    'history.autopilotNote': 'Runs flown by the autopilot are not added to the run history.',
+    'history.notSaved': 'This run could not be saved — the browser storage is full or blocked.',
+    'history.savedRank': 'Saved for {player} · #{rank} on the {type} leaderboard',
+    'history.savedBest': 'Saved for {player} · your best {type} run scored {score}',
+    'history.col.date': 'Date',
+    'history.col.player': 'Trainee',
+    'history.col.wound': 'Wound',
+    'history.col.polymer': 'Polymer',
+    'history.col.settings': 'Settings',
+    'history.col.time': 'Time',
+    'history.col.fibers': 'Fibers',
+    'history.col.coverage': 'Coverage',
+    'history.col.score': 'Score',
+    'history.empty': 'No completed runs yet.',
+    'history.count.one': '{n} run saved on this machine',
+    'history.count.other': '{n} runs saved on this machine',
+    'history.confirmClear': 'Delete every saved run on this machine?',
+
+    // Autopilot comparison
+    'autopilot.thisRun': 'This run',
+    'autopilot.stalled': 'stalled',
+    'autopilot.watch': 'Watch',
+
+    // Healing
+    'heal.closedIn': 'Closed in {n} days',
+    'heal.stillOpen': 'Still open after {n} days',
+};
@@ -0,0 +1,367 @@
+/* ===================================================================
+   SpinCare — Thai strings (ภาษาไทย)
+   Covers both the data-i18n keys of index.html and the runtime keys of
+   locale-en.js. Units, polymer abbreviations and drug examples stay as is.
+   =================================================================== */
+
+export default {
+    'app.title': 'SpinCare — เกมรักษาแผล',
+
+    // Intro
+    'intro.subtitle': 'จำลองการรักษาบาดแผล',
+    'intro.aim': 'เลื่อนเมาส์เพื่อเล็งเครื่อง SpinCare',
+    'intro.spray': '<strong>กดค้าง</strong> เพื่อพ่นเส้นใยนาโน',
+    'intro.keys': 'หรือใช้ <strong>WASD + Space</strong> หรือจอยเกม',
+    'intro.goal': 'ปิดแผลให้ครบ <strong>100%</strong> เพื่อผ่านด่าน!',
+    'intro.start': 'เริ่มรักษา',
+    'intro.trainee': 'ผู้ฝึก',
+    'intro.playerName': 'ชื่อของคุณ',
+    'intro.surface': 'ตำแหน่งบนร่างกาย',
+    'intro.language': 'ภาษา',
+    'intro.note': 'การจำลองเพื่อการศึกษาเรื่องการรักษาแผลด้วยอิเล็กโทรสปินนิง',
+    'menu.campaign': 'โหมดภารกิจ',
+    'menu.history': 'ประวัติ',
+    'menu.loadReplay': 'เปิดรีเพลย์',
+    'menu.import': 'นำเข้าภาพแผล',
+    'menu.editor': 'ตัวแก้ไขแผล',
+    'menu.autopilot': 'สาธิตระบบนำทางอัตโนมัติ',
+    'levels.subtitle': 'ผ่านด่านหนึ่งเพื่อปลดล็อกด่านถัดไป',
+    'common.back': 'กลับ',
+    'common.cancel': 'ยกเลิก',
+
+    // HUD
+    'hud.seed': 'ซีด',
+    'hud.seedTitle': 'คัดลอกลิงก์ของแผลนี้',
+    'hud.importTitle': 'นำเข้าภาพแผล',
+    'hud.editorTitle': 'ตัวแก้ไขแผล',
+    'hud.autopilotTitle': 'ระบบนำทางอัตโนมัติ (P)',
+    'hud.saveReplayTitle': 'บันทึกรีเพลย์',
+    'hud.infoTitle': 'ข้อมูล',
+    'hud.restartTitle': 'เริ่มใหม่',
+    'hud.coverage': 'การปกคลุมแผล',
+    'hud.thicknessTitle': 'ความหนาเฉลี่ยของโครงเส้นใย (เป้าหมาย 20–60 µm)',
+    'hud.over': 'หนาเกิน',
+    'hud.overTitle': 'พื้นที่แผลที่พ่นหนาเกิน (> 60 µm)',
+    'hud.efficiencyTitle': 'สัดส่วนของพอลิเมอร์ที่ตกลงบนแผล',
+    'view.defaultTitle': 'มุมมองปกติ (กด V เพื่อสลับมุมมอง)',
+    'view.topTitle': 'มุมมองจากด้านบน',
+    'view.sideTitle': 'มุมมองด้านข้าง (ระยะหัวฉีด)',
+    'legend.bare': 'ว่าง',
+    'legend.uncovered': 'ยังไม่ปกคลุม',
+    'legend.partial': 'บางส่วน',
+    'legend.counted': 'นับแล้ว',
+    'overlay.off': 'แผนที่ความหนา / การปกคลุม',
+    'overlay.thickness': 'แผนที่ความหนา (คลิกเพื่อสลับ)',
+    'overlay.coverage': 'แผนที่การปกคลุม (คลิกเพื่อสลับ)',
+    'overlay.gaps': 'ว่าง {bare} · บางส่วน {partial}',
+    'replay.banner': 'รีเพลย์',
+    'replay.stopTitle': 'หยุดรีเพลย์',
+    'autopilot.banner': 'นำทางอัตโนมัติ',
+    'autopilot.patternTitle': 'รูปแบบเส้นทาง',
+    'autopilot.stopTitle': 'ควบคุมเอง',
+
+    // Polymer details
+    'poly.solvent': 'ตัวทำละลาย',
+    'poly.viscosity': 'ความหนืด',
+    'poly.conductivity': 'การนำไฟฟ้า',
+    'poly.concentration': 'ความเข้มข้น',
+    'poly.volatility': 'การระเหย',
+    'poly.degradation': 'การย่อยสลาย',
+    'poly.months': '~{n} เดือน',
+    'poly.days': '~{n} วัน',
+    'poly.high': 'สูง',
+    'poly.medium': 'ปานกลาง',
+    'poly.low': 'ต่ำ',
+    'polymer.PCL.name': 'พอลิแคโพรแลกโทน',
+    'polymer.PCL.solvent': 'คลอโรฟอร์ม / DMF',
+    'polymer.PVA.name': 'พอลิไวนิลแอลกอฮอล์',
+    'polymer.PVA.solvent': 'น้ำ',
+    'polymer.PLGA.name': 'พอลิ(แลกติก-โค-ไกลโคลิก แอซิด)',
+    'polymer.PLGA.solvent': 'HFIP',
+    'polymer.Chitosan.name': 'ไคโตซาน / PEO ผสม',
+    'polymer.Chitosan.solvent': 'กรดอะซิติก (90%)',
+
+    // Parameters
+    'param.voltage': 'แรงดันไฟฟ้า',
+    'param.distance': 'ระยะห่าง',
+    'param.flowRate': 'อัตราการไหล',
+    'param.fiber': 'เส้นใย Ø',
+    'param.regime': 'ลักษณะการพ่น',
+    'param.skinDistance': 'ถึงผิว',
+    'param.conditionsTitle': 'สถานการณ์ในคลินิก',
+    'param.customConditions': 'กำหนดสภาพห้องเอง',
+    'param.humidity': 'ความชื้น',
+    'param.temperature': 'อุณหภูมิ',
+    'param.porosity': 'ความพรุน',
+    'param.drugTitle': 'ตัวยาที่ผสมในเส้นใย',
+    'param.noDrug': 'ไม่ผสมยา',
+    'param.loading': 'ปริมาณยา',
+    'param.dose': 'ยาบนแผล',
+    'fiber.drops': 'หยด {size} µm',
+    'regime.stable': 'ลำพ่นเสถียร',
+    'regime.dripping': 'หยดเป็นหยด',
+    'regime.beaded': 'เส้นใยเป็นปม',
+    'regime.multijet': 'แตกเป็นหลายลำ',
+    'regime.wet': 'เส้นใยเปียก หลอมติดกัน',
+    'conditions.theatre': 'ห้องผ่าตัด',
+    'conditions.winter': 'คลินิกฤดูหนาวเปิดฮีตเตอร์',
+    'conditions.tropical': 'หอผู้ป่วยเขตร้อน ไม่มีแอร์',
+    'conditions.field': 'เต็นท์โรงพยาบาลสนาม',
+    'conditions.cold': 'ห้องเย็น',
+    'drug.antibiotic': 'ยาปฏิชีวนะ',
+    'drug.growthFactor': 'โกรทแฟกเตอร์',
+    'drug.silver': 'อนุภาคนาโนซิลเวอร์',
+
+    // Win screen
+    'win.title': 'แผลได้รับการรักษาแล้ว!',
+    'win.subtitle': 'แผ่นปิดแผลเส้นใยนาโนเสร็จสมบูรณ์',
+    'win.playAgain': 'เล่นอีกครั้ง',
+    'win.heal': 'ดูการหายของแผล',
+    'win.watch': 'ดูรีเพลย์',
+    'win.saveReplay': 'บันทึกรีเพลย์',
+    'win.compare': 'เทียบกับระบบอัตโนมัติ',
+    'stat.time': 'เวลา',
+    'stat.fibers': 'เส้นใย',
+    'stat.efficiency': 'ประสิทธิภาพ',
+    'score.cat.time': 'เวลา',
+    'score.cat.uniformity': 'ความสม่ำเสมอ',
+    'score.cat.overspray': 'พ่นเกินเป้า',
+    'score.cat.fiber': 'เส้นใย Ø',
+    'score.wasted': 'สูญเปล่า {pct}%',
+    'score.fiber': '{value} nm (เป้าหมาย {target})',
+    'waste.wound': 'แผล',
+    'waste.skin': 'ผิวหนัง',
+    'waste.offTarget': 'นอกเป้า',
+    'waste.dispensed': 'พอลิเมอร์ที่จ่ายออก:',
+    'release.title': 'การปลดปล่อย{agent}',
+    'release.onWound': 'บนแผล',
+    'release.burst': 'ปลดปล่อยทันที (24 ชม.)',
+    'release.t50': 'ปลดปล่อย 50%',
+    'release.t90': 'ปลดปล่อย 90%',
+    'release.never': '> 1 ปี',
+    'release.hours': '{n} ชม.',
+    'release.days': '{n} วัน',
+    'report.label': 'รายงาน',
+    'report.print': 'พิมพ์…',
+
+    // Body sites
+    'surface.flat': 'แผ่นเรียบ',
+    'surface.forearm': 'แขนท่อนล่าง',
+    'surface.heel': 'ส้นเท้า',
+    'surface.shoulder': 'ไหล่',
+
+    // Autopilot
+    'pattern.raster': 'แนวสลับไปกลับ',
+    'pattern.spiral': 'เกลียว',
+    'pattern.contour': 'ตามขอบแผล',
+    'autopilot.thisRun': 'รอบนี้',
+    'autopilot.stalled': 'ไม่สำเร็จ',
+    'autopilot.watch': 'ดู',
+
+    // Healing
+    'heal.day': 'วันที่',
+    'heal.closed': 'ปิดแล้ว',
+    'heal.infected': 'เซลล์ติดเชื้อ',
+    'heal.scaffold': 'โครงเส้นใยคงเหลือ',
+    'heal.skip': 'ข้าม',
+    'heal.done': 'เสร็จสิ้น',
+    'heal.closedIn': 'แผลปิดใน {n} วัน',
+    'heal.stillOpen': 'แผลยังไม่ปิดหลัง {n} วัน',
+
+    // Campaign
+    'level.menu': 'ด่าน',
+    'level.retry': 'ลองอีกครั้ง',
+    'level.next': 'ด่านถัดไป',
+    'level.best': 'ดีที่สุด {time} วินาที',
+    'level.locked': 'ล็อกอยู่',
+    'level.notPassed': 'ยังไม่ผ่าน',
+    'level.passed': 'ผ่านด่าน',
+    'level.failed': 'ไม่ผ่านด่าน',
+    'level.first-dressing.title': 'แผ่นปิดแผลแรก',
+    'level.first-dressing.brief': 'แผลถลอกที่สะอาด ปิดให้ครบด้วยเส้นใย PCL',
+    'level.steady-hand.title': 'มือนิ่ง',
+    'level.steady-hand.brief': 'พอลิเมอร์ราคาแพง พ่นให้ลงบนแผล ไม่ใช่บนผิวหนัง',
+    'level.fine-fibers.title': 'เส้นใยละเอียด',
+    'level.fine-fibers.brief': 'แผลไฟไหม้นี้ต้องการตาข่าย PVA ละเอียด เพิ่มแรงดันไฟฟ้าหรือลดอัตราการไหลเพื่อให้เส้นใยเล็กลง',
+    'level.against-the-clock.title': 'แข่งกับเวลา',
+    'level.against-the-clock.brief': 'แผลฉีกขาดในหอผู้ป่วยที่วุ่นวาย ปิดแผลด้วย PLGA ก่อนหมดเวลา',
+    'level.even-coat.title': 'เคลือบสม่ำเสมอ',
+    'level.even-coat.brief': 'รอยโรคกระจัดกระจาย สร้างชั้นไคโตซานที่สม่ำเสมอ — ห้ามมีจุดหนา',
+    'level.monsoon.title': 'คลินิกหน้าฝน',
+    'level.monsoon.brief': 'อากาศชื้น ไม่มีแอร์ หาค่าที่ยังพ่นเส้นใย PCL ได้สะอาด',
+    'level.final-exam.title': 'สอบปลายภาค',
+    'level.final-exam.brief': 'คลินิกฤดูหนาวอากาศแห้ง ข้อกำหนดเข้มงวด ทุกอย่างมีผล',
+    'objective.coverage': 'ปิดแผล {target}% ({value}%)',
+    'objective.fiber': 'เส้นใย Ø {min}–{max} nm ({value})',
+    'objective.time': 'เสร็จภายใน {target} วินาที ({value} วินาที)',
+    'objective.waste': 'สูญเปล่าไม่เกิน {target} µL ({value} µL)',
+    'objective.uniformity': 'ความสม่ำเสมอ ≥ {target}% ({value})',
+    'objective.atEnd': 'วัดตอนจบ',
+
+    // Wound editor
+    'editor.hint': 'ลากบนผิวหนังเพื่อระบายหรือลบเซลล์แผล',
+    'editor.paint': 'ระบาย',
+    'editor.erase': 'ลบ',
+    'editor.clear': 'ล้าง',
+    'editor.brush': 'แปรง',
+    'editor.cells': 'เซลล์',
+    'editor.presets': 'แผลที่บันทึกไว้',
+    'editor.presetName': 'ชื่อแผล',
+    'editor.save': 'บันทึก',
+    'editor.load': 'เปิด',
+    'editor.deleteTitle': 'ลบแผลที่บันทึกไว้',
+    'editor.export': 'ส่งออก JSON',
+    'editor.import': 'นำเข้า JSON',
+    'editor.play': 'เล่นแผลนี้',
+    'editor.count': '{n} เซลล์',
+    'editor.tooSmall': 'ระบายเซลล์แผลอย่างน้อย {n} เซลล์ก่อน',
+    'editor.tooSmallSave': 'ระบายเซลล์แผลอย่างน้อย {n} เซลล์ก่อนบันทึก',
+    'editor.confirmDelete': 'ลบแผล "{name}" หรือไม่?',
+    'editor.noPresets': 'ยังไม่มีแผลที่บันทึกไว้',
+
+    // Wound image import
+    'import.hint': 'เปิดภาพมาสก์ขาวดำ (สีขาว = แผล) หรือภาพถ่ายทางคลินิก แล้วคลิกที่แผลเพื่อเลือกสี',
+    'import.choose': 'เลือกภาพ…',
+    'import.mask': 'มาสก์',
+    'import.photo': 'ภาพถ่าย',
+    'import.threshold': 'ค่าขีดแบ่ง',
+    'import.invert': 'บริเวณสีเข้มคือแผล',
+    'import.colour': 'สีของแผล',
+    'import.tolerance': 'ความคลาดเคลื่อน',
+    'import.none': 'ยังไม่ได้เปิดภาพ',
+    'import.apply': 'ใช้แผลนี้',
+    'import.count': 'เซลล์แผล {n} เซลล์',
+
+    // Printable session report
+    'report.title': 'รายงานการฝึก SpinCare',
+    'report.pageTitle': 'รายงานการฝึก SpinCare — {player}',
+    'report.anonymous': 'ไม่ระบุชื่อ',
+    'report.wound': 'แผล',
+    'report.woundSeed': '{type} · ซีด {seed}',
+    'report.woundLevel': '{type} · ซีด {seed} · ด่าน {level}',
+    'report.woundSize': 'ขนาดแผล',
+    'report.cells': '{n} เซลล์',
+    'report.surface': 'ตำแหน่งบนร่างกาย',
+    'report.time': 'เวลา',
+    'report.timeValue': 'จำลอง {sim} วินาที (เวลาจริง {clock} วินาที)',
+    'report.fibers': 'เส้นใย',
+    'report.coverage': 'การปกคลุม',
+    'report.thickness': 'ความหนาเฉลี่ย',
+    'report.thicknessValue': '{mean} µm (บางเกิน {under}% หนาเกิน {over}%)',
+    'report.fiberDiameter': 'เส้นผ่านศูนย์กลางเส้นใย',
+    'report.uniformity': 'ความสม่ำเสมอ',
+    'report.efficiency': 'ประสิทธิภาพ',
+    'report.efficiencyValue': '{pct}% ของพอลิเมอร์ {dispensed} µL ที่จ่ายออก',
+    'report.score': 'คะแนน',
+    'report.scoreValue': '{score} / 100 ({grade})',
+    'report.drug': 'ตัวยา',
+    'report.drugValue': '{agent} {loading}% w/w · {dose} µg บนแผล',
+    'report.release': 'การปลดปล่อย',
+    'report.releaseValue': '{burst}% ใน 24 ชม. · 50% ภายใน {t50} · 90% ภายใน {t90}',
+    'report.snapshots': 'ภาพแผล',
+    'report.dressing': 'แผ่นปิดแผล',
+    'report.coverageMap': 'แผนที่การปกคลุม',
+    'report.noSnapshots': 'ไม่มีภาพ',
+    'report.timeline': 'ค่าที่ตั้งตลอดรอบ',
+    'report.col.from': 'ตั้งแต่',
+    'report.col.polymer': 'พอลิเมอร์',
+    'report.col.voltage': 'แรงดัน',
+    'report.col.distance': 'ระยะห่าง',
+    'report.col.flow': 'อัตราการไหล',
+    'report.col.room': 'ห้อง',
+    'report.col.drug': 'ตัวยา',
+
+    // Load and import errors
+    'error.woundTooSmall': 'แผลเล็กเกินไป ({count} เซลล์ ต้องมีอย่างน้อย {min})',
+    'error.maskCorrupt': 'ข้อมูลมาสก์แผลเสียหาย',
+    'error.maskNotSquare': 'มาสก์แผลไม่เป็นรูปสี่เหลี่ยมจัตุรัส',
+    'error.imageType': 'โปรดเลือกภาพ PNG หรือ JPEG',
+    'error.imageRead': 'อ่านภาพนี้ไม่ได้',
+    'error.presetJson': 'ไฟล์แผลที่บันทึกไว้ไม่ใช่ JSON ที่ถูกต้อง',
+    'error.presetKind': 'ไม่ใช่ไฟล์แผลที่บันทึกไว้ของ SpinCare',
+    'error.presetVersion': 'ไม่รองรับไฟล์แผลที่บันทึกไว้รุ่น {version}',
+    'error.presetName': 'มีแผลที่ไม่มีชื่อ',
+    'error.replayJson': 'ไฟล์รีเพลย์ไม่ใช่ JSON ที่ถูกต้อง',
+    'error.replayVersion': 'ไม่รองรับไฟล์รีเพลย์รุ่น {version}',
+    'error.replayIncomplete': 'ไฟล์รีเพลย์ไม่มี seed, params หรือ events',
+    'error.replayMask': 'มาสก์แผลในไฟล์รีเพลย์ไม่ถูกต้อง',
+    'error.replaySurface': 'ไฟล์รีเพลย์ใช้ตำแหน่งบนร่างกายที่ไม่รู้จัก: {surface}',
+    'error.replayFrames': 'ความยาวแต่ละขั้นในไฟล์รีเพลย์ไม่ถูกต้อง',
+    'error.replayParam': 'ค่า {name} ในไฟล์รีเพลย์ไม่ถูกต้อง',
+    'error.replayPolymer': 'ไฟล์รีเพลย์ใช้พอลิเมอร์ที่ไม่รู้จัก: {id}',
+    'error.replayDrug': 'ไฟล์รีเพลย์ใช้ตัวยาที่ไม่รู้จัก: {id}',
+    'error.replayEvent': 'เหตุการณ์ที่ {index} ในรีเพลย์ไม่ถูกต้อง',
+    'error.replayTimeOrder': 'เหตุการณ์ที่ {index} ในรีเพลย์เรียงเวลาไม่ถูกต้อง',
+    'error.replayStepOrder': 'เหตุการณ์ที่ {index} ในรีเพลย์เรียงขั้นไม่ถูกต้อง',
+
+    // Run history
+    'history.title': 'ประวัติการเล่น',
+    'history.recent': 'ล่าสุด',
+    'history.bests': 'สถิติดีที่สุด',
+    'history.leaderboard': 'ตารางอันดับ',
+    'history.typeTitle': 'ชนิดแผล',
+    'history.allTypes': 'แผลทุกชนิด',
+    'history.clear': 'ล้างประวัติ',
+    'history.replayNote': 'รีเพลย์จะไม่ถูกบันทึกในประวัติการเล่น',
+    'history.autopilotNote': 'รอบที่ระบบนำทางอัตโนมัติควบคุมจะไม่ถูกบันทึกในประวัติการเล่น',
+    'history.notSaved': 'บันทึกรอบนี้ไม่ได้ — พื้นที่เก็บข้อมูลของเบราว์เซอร์เต็มหรือถูกบล็อก',
+    'history.savedRank': 'บันทึกให้ {player} แล้ว · อันดับ {rank} ในตารางแผล{type}',
+    'history.savedBest': 'บันทึกให้ {player} แล้ว · คะแนนดีที่สุดของแผล{type}คือ {score}',
+    'history.col.date': 'วันที่',
+    'history.col.player': 'ผู้ฝึก',
+    'history.col.wound': 'แผล',
+    'history.col.polymer': 'พอลิเมอร์',
+    'history.col.settings': 'ค่าที่ตั้ง',
+    'history.col.time': 'เวลา',
+    'history.col.fibers': 'เส้นใย',
+    'history.col.coverage': 'การปกคลุม',
+    'history.col.score': 'คะแนน',
+    'history.empty': 'ยังไม่มีการเล่นที่จบ',
+    'history.count': 'บันทึกไว้ในเครื่องนี้ {n} ครั้ง',
+    'history.confirmClear': 'ลบประวัติการเล่นทั้งหมดในเครื่องนี้หรือไม่?',
+    'woundType.blob': 'ก้อน',
+    'woundType.oval': 'วงรี',
+    'woundType.star': 'รูปดาว',
+    'woundType.gash': 'แผลยาว',
+    'woundType.spots': 'หลายจุด',
+    'woundType.image': 'จากภาพ',
+    'woundType.custom': 'วาดเอง',
+
+    // Info
+    'info.title': 'SpinCare ทำงานอย่างไร',
+    'info.intro': 'SpinCare เป็นเครื่องมือแพทย์จริงที่ใช้ <strong>อิเล็กโทรสปินนิง</strong> สร้างแผ่นปิดแผลจากเส้นใยนาโน สนามไฟฟ้าแรงดันสูงยืดสารละลายพอลิเมอร์ให้เป็นเส้นใยที่เล็กมาก (50–500 nm) ซึ่งตกลงบนแผลและกลายเป็นชั้นป้องกันที่ระบายอากาศได้',
+    'info.params': 'ค่าพารามิเตอร์',
+    'info.paramsText': '<strong>⚡ แรงดันไฟฟ้า (kV):</strong> ควบคุมความแรงของสนามไฟฟ้า แรงดันสูงให้เส้นใยเล็กลงและพ่นกว้างขึ้น<br>' +
+        '<strong>📏 ระยะห่าง (cm):</strong> ช่องว่างระหว่างหัวฉีดกับแผล ระยะมากขึ้น = พ่นได้กว้างขึ้นแต่ปกคลุมบางลง<br>' +
+        '<strong>💧 อัตราการไหล (mL/h):</strong> อัตราการจ่ายสารละลายพอลิเมอร์ ไหลมาก = ปกคลุมเร็วขึ้นแต่เส้นใยหนาขึ้น<br>' +
+        '<strong>เส้นใย Ø:</strong> เส้นผ่านศูนย์กลางเส้นใยโดยประมาณ (นาโนเมตร) คำนวณจากแรงดัน อัตราการไหล และสารละลายพอลิเมอร์',
+    'info.keys': 'คีย์บอร์ดและจอยเกม',
+    'info.keysText': '<strong>WASD / ลูกศร</strong> เลื่อนหัวฉีด (กด <strong>Shift</strong> ค้างเพื่อเลื่อนละเอียด) และ <strong>Space</strong> พ่น <strong>Q / E</strong> ลด / เพิ่มแรงดันไฟฟ้า <strong>Z / C</strong> ปรับระยะห่าง และ <strong>F / R</strong> ปรับอัตราการไหล ส่วน <strong>1–4</strong> เลือกพอลิเมอร์<br>' +
+        'บนจอยเกม <strong>สติกซ้าย</strong> เลื่อนหัวฉีด <strong>ไกขวา</strong> (หรือ A) พ่น <strong>LB / RB</strong> ปรับระยะห่าง <strong>ปุ่มทิศทาง</strong> ปรับแรงดัน (ขึ้น / ลง) และอัตราการไหล (ซ้าย / ขวา) และ <strong>Start</strong> เริ่มหรือเริ่มรอบใหม่',
+    'info.camera': 'กล้อง',
+    'info.cameraText': '<strong>Alt-ลาก</strong> หรือลากด้วยปุ่มขวาเพื่อหมุนรอบ <strong>Shift-ลาก</strong> หรือลากด้วยปุ่มกลางเพื่อเลื่อน และเลื่อนล้อเมาส์เพื่อซูม บนแท็บเล็ต <strong>จีบนิ้ว</strong> เพื่อซูม <strong>บิด</strong> สองนิ้วเพื่อหมุน และลากสองนิ้วเพื่อเลื่อน — ท่าทางสองนิ้วจะไม่พ่น ปุ่มทางขวา (หรือ <strong>V</strong>) สลับระหว่างมุมมองปกติ มุมบน และมุมข้าง มุมข้างแสดงระยะจากหัวฉีดถึงแผล',
+    'info.autopilot': 'ระบบนำทางอัตโนมัติ',
+    'info.autopilotText': 'ระบบนำทางอัตโนมัติอ่านขอบเขตของแผลแล้ววางเส้นทางหัวฉีดตามความกว้างของการพ่นในขณะนั้น ได้แก่ <strong>แนวสลับไปกลับ</strong> <strong>เกลียว</strong>เข้าหาศูนย์กลาง หรือ<strong>วงตามขอบแผล</strong> เริ่มได้จากเมนูเพื่อสาธิต หรือส่งต่อการควบคุมกลางรอบด้วย <strong>P</strong> — รอบที่มีระบบช่วยจะไม่ถูกบันทึกในประวัติ หลังจบรอบ <strong>เทียบกับระบบอัตโนมัติ</strong> จะพ่นแผลเดิมด้วยค่าที่คุณตั้งไว้ตามแต่ละเส้นทาง เพื่อให้เห็นว่าเวลาและพอลิเมอร์ถูกใช้ไปอย่างไร',
+    'info.window': 'ช่วงการทำงาน',
+    'info.windowText': 'เส้นใยจะเกิดได้ในช่วงค่าที่เหมาะสมเท่านั้น <strong>สนามอ่อนเกินไป</strong> (แรงดันต่ำเมื่อเทียบกับระยะห่าง) หัวฉีดจะ<em>หยด</em> <strong>ไหลมากเกินแรงดัน</strong> ได้เส้นใย<em>เป็นปม</em> <strong>แรงดันสูงเกินไป</strong> ลำพ่นจะแตกเป็น<em>หลายลำ</em>ที่ไม่เสถียร ทุกความผิดพลาดทำให้สูญเสียวัสดุและแผ่นปิดแผลอ่อนแอลง — ดูค่าลักษณะการพ่นไว้เสมอ',
+    'info.surface': 'ตำแหน่งบนร่างกาย',
+    'info.surfaceText': 'แผลไม่ได้อยู่บนผิวเรียบเสมอไป เลือก<strong>แขนท่อนล่าง</strong> <strong>ส้นเท้า</strong> หรือ<strong>ไหล่</strong>เพื่อรักษาแผลบนส่วนโค้งของร่างกาย หัวพ่นอยู่ในระดับเดิมตลอด ตรงที่ผิวโค้งลาดลงลำพ่นจึงต้องเดินทางไกลขึ้น ดูค่า<strong>ถึงผิว</strong>และลักษณะการพ่น ซึ่งอาจหยดได้บริเวณด้านข้าง ผิวที่ลาดเอียงยังรับสารได้น้อยลงและกระจายออกไปบนพื้นที่มากขึ้น แผ่นเส้นใยตรงนั้นจึงบางกว่า เว้นแต่จะพ่นค้างไว้นานขึ้น',
+    'info.room': 'สภาพห้อง',
+    'info.roomText': '<strong>ความชื้น</strong>และ<strong>อุณหภูมิ</strong>กำหนดความเร็วที่ตัวทำละลายระเหยระหว่างทาง ในอากาศชื้น สารละลายที่ใช้น้ำ (PVA, ไคโตซาน) จะตกลงมา<em>เปียก</em>และหลอมเป็นฟิล์ม อากาศชื้นทำให้ประจุรั่วออกจากลำพ่นจึงหยดและเป็นปมง่ายขึ้น และตัวทำละลายที่ระเหยง่ายจะเกิดรูพรุนแบบ breath figure ห้องอุ่นทำให้สารละลายเหลวลง ห้องแห้งทำให้ประจุสะสมจนแตกเป็นหลายลำ',
+    'info.thickness': 'ความหนาของโครงเส้นใย',
+    'info.thicknessText': 'แต่ละจุดบนแผลจะสะสมแผ่นเส้นใย ตั้งเป้าที่ <strong>20–60 µm</strong> แผ่นที่บางกว่านี้ทำให้แผลเปิดโล่ง แผ่นที่หนากว่ากักความชื้นและสิ้นเปลืองพอลิเมอร์ เปิดแผนที่ความหนาเพื่อดูว่าพ่นน้อยหรือมากเกินตรงไหน คลิกอีกครั้งเพื่อดูแผนที่การปกคลุม ซึ่งแสดงทุกเซลล์แผลที่ยังไม่ถูกนับ',
+    'info.scoring': 'การให้คะแนน',
+    'info.scoringText': 'ความเร็วอย่างเดียวไม่พอ แผ่นปิดแผลแต่ละแผ่นได้คะแนนเต็ม 100 จาก<strong>เวลา</strong> (เทียบกับเวลามาตรฐานตามขนาดแผล) <strong>ความสม่ำเสมอ</strong>ของแผ่น <strong>การพ่นเกินเป้า</strong> (พอลิเมอร์ที่พลาดแผล) และความใกล้เคียงของเส้นใยกับเป้าหมายทางคลินิก <strong>300 nm</strong> — แล้วตัดเกรด A ถึง F',
+    'info.efficiency': 'ประสิทธิภาพการใช้วัสดุ',
+    'info.efficiencyText': 'ทุกวินาทีที่พ่นจะจ่ายสารละลายพอลิเมอร์ตามอัตราการไหลที่ตั้งไว้ มีเพียงส่วนที่ตกลงบนแผลเท่านั้นที่เป็นประโยชน์ — เส้นใยบนผิวหนังปกติหรือนอกบริเวณรักษาถือว่าสูญเปล่า พ่นให้อยู่เหนือแผลเพื่อเพิ่มประสิทธิภาพ',
+    'info.healing': 'การหายของแผล',
+    'info.healingText': 'เมื่อปิดแผลเสร็จ คุณสามารถดูแผลหายได้ ผิวใหม่งอกจากขอบแผลได้เร็วที่สุดใต้แผ่นที่สม่ำเสมอในช่วง 20–60 µm ช่องว่างที่ไม่มีเส้นใยหายช้าและอาจติดเชื้อ โครงเส้นใยป้องกันแผลได้จนกว่าจะถูกดูดซึมหมด — PVA ที่ละลายเร็วทำให้แผลเปิดโล่งเร็ว และฤทธิ์ต้านจุลชีพของไคโตซานช่วยลดการติดเชื้อ',
+    'info.drug': 'การปลดปล่อยยา',
+    'info.drugText': 'เลือก<strong>ยาปฏิชีวนะ</strong> <strong>โกรทแฟกเตอร์</strong> หรือ<strong>อนุภาคนาโนซิลเวอร์</strong> และปริมาณยา (% ของน้ำหนักพอลิเมอร์) เพื่อปั่นแผ่นปิดแผลที่ปลดปล่อยยา ยาจะตกลงทุกที่ที่เส้นใยตกลง หลังจบรอบ กราฟการปลดปล่อยจะแสดง<em>การปลดปล่อยทันที</em>จากยาที่ผิวเส้นใย ตามด้วย<em>การแพร่</em>ที่ช้ากว่าออกจากแผ่น PVA และไคโตซานที่พองน้ำปล่อยยาเกือบหมดภายในไม่กี่วัน PCL ที่ไม่ชอบน้ำปล่อยยานานหลายสัปดาห์ แผ่นที่หนากว่าและโมเลกุลที่ใหญ่กว่าปล่อยยาช้าลง และยาที่ยังติดค้างจะออกมาเมื่อโครงเส้นใยถูกดูดซึม',
+    'info.polymers': 'ชนิดพอลิเมอร์',
+    'info.polymersText': 'สารละลายแต่ละชนิดปั่นได้ต่างกัน สารละลายที่หนืดหรือเข้มข้นให้เส้นใยหนากว่า สารละลายที่นำไฟฟ้าดีจะสะบัดแรงขึ้นจนได้เส้นใยเล็กลงและพ่นกว้างขึ้น และพอลิเมอร์ต่อ mL ที่มากขึ้นทำให้สร้างแผ่นปิดแผลได้เร็วขึ้น',
+    'info.polymerList': '<strong>PCL:</strong> ย่อยสลายได้ทางชีวภาพ ดูดซึมช้า (หลายเดือน)<br>' +
+        '<strong>PVA:</strong> ละลายน้ำ ดูดซึมเร็ว<br>' +
+        '<strong>PLGA:</strong> ตัวพายาแบบควบคุมการปลดปล่อย<br>' +
+        '<strong>ไคโตซาน:</strong> ต้านจุลชีพ ได้จากเปลือกสัตว์ทะเล',
+};
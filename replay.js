@@ -0,0 +1,221 @@
+/* ===================================================================
+   SpinCare — Session Recording & Replay
+   Timeline of aim · spray · slider · polymer · drug events, saved as JSON
+   Pure module: no Three.js, no DOM
+   =================================================================== */
+
+import { WOUND_TYPES, POLYMERS, encodeMask, decodeMask, userError } from './sim.js';
+import { SURFACES } from './surface.js';
+import { DRUG_AGENTS } from './drug.js';
+
+// Version 2 adds the length of every simulation step, so playback repeats
+// the run exactly at any frame rate. Version 1 files still load.
+export const REPLAY_VERSION = 2;
+const PARAM_KEYS = ['voltage', 'distance', 'flowRate', 'humidity', 'temperature', 'drugLoading'];
+const LEGACY_STEP = 17;      // ms — step length assumed for version 1 files
+
+// ─── Recording ───────────────────────────────────────────────────────
+// A recording starts from the wound identity and the initial parameters;
+// everything after that is a time-ordered event list. frames holds the
+// length (whole ms) of every simulation step; an event's f is the step it
+// came before, its t the simulated time there.
+export function createRecording(sim) {
+    return {
+        version: REPLAY_VERSION,
+        createdAt: new Date().toISOString(),
+        seed: sim.seed,
+        woundType: sim.woundType,
+        // Wounds that a seed cannot rebuild (imported or edited) carry their mask
+        mask: WOUND_TYPES[sim.woundType] ? null : encodeMask(sim.mask),
+        surface: sim.surface,
+        params: { ...sim.params },
+        events: [],
+        frames: [],
+        duration: 0,
+        result: null,       // filled in when the wound is completed
+        // Last recorded state, used to emit only changes, and the recorded
+        // time in ms — kept here because sim.time lags while deposition
+        // runs in a worker (not serialized)
+        _last: {
+            time: Math.round(sim.time * 1000),
+            aimX: Infinity, aimZ: Infinity, spraying: false, params: { ...sim.params },
+        },
+    };
+}
+
+// Record whatever changed since the previous frame, then the step itself.
+// input: { aimX, aimZ, spraying } and dt — the same passed to stepSim(),
+// with dt already rounded by stepLength(). The aim in input is rounded in
+// place to what the file stores, so a replay steps exactly like the run.
+export function recordFrame(rec, sim, input, dt) {
+    const last = rec._last;
+    const t = last.time / 1000;
+    const f = rec.frames.length;
+
+    input.aimX = round3(input.aimX);
+    input.aimZ = round3(input.aimZ);
+    if (input.aimX !== last.aimX || input.aimZ !== last.aimZ) {
+        rec.events.push({ t, f, type: 'aim', x: input.aimX, z: input.aimZ });
+        last.aimX = input.aimX;
+        last.aimZ = input.aimZ;
+    }
+    if (input.spraying !== last.spraying) {
+        rec.events.push({ t, f, type: 'spray', on: input.spraying });
+        last.spraying = input.spraying;
+    }
+    for (const name of PARAM_KEYS) {
+        if (sim.params[name] !== last.params[name]) {
+            rec.events.push({ t, f, type: 'param', name, value: sim.params[name] });
+            last.params[name] = sim.params[name];
+        }
+    }
+    if (sim.params.polymer !== last.params.polymer) {
+        rec.events.push({ t, f, type: 'polymer', id: sim.params.polymer });
+        last.params.polymer = sim.params.polymer;
+    }
+    if (sim.params.drug !== last.params.drug) {
+        rec.events.push({ t, f, type: 'drug', id: sim.params.drug });
+        last.params.drug = sim.params.drug;
+    }
+    rec.frames.push(Math.round(dt * 1000));
+    last.time += Math.round(dt * 1000);
+    rec.duration = last.time / 1000;
+}
+
+// Simulation step for a frame of dt seconds, rounded to whole ms so a
+// recording can store it exactly
+export function stepLength(dt) {
+    return Math.round(dt * 1000) / 1000;
+}
+
+function round3(v) {
+    return Math.round(v * 1000) / 1000;
+}
+
+// ─── Save / Load ─────────────────────────────────────────────────────
+export function serializeRecording(rec) {
+    const { _last, ...data } = rec;
+    return JSON.stringify(data);
+}
+
+// Throws a userError() if the file is not a replay
+export function parseRecording(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        throw userError('error.replayJson', 'Replay file is not valid JSON');
+    }
+    if (!data || (data.version !== 1 && data.version !== REPLAY_VERSION)) {
+        const version = data && data.version;
+        throw userError('error.replayVersion', `Unsupported replay version: ${version}`, { version });
+    }
+    if (typeof data.seed !== 'string' || !Array.isArray(data.events) || !data.params) {
+        throw userError('error.replayIncomplete', 'Replay file is missing seed, params or events');
+    }
+    if (data.mask != null) {
+        try {
+            decodeMask(data.mask);
+        } catch {
+            throw userError('error.replayMask', 'Replay file has an invalid wound mask');
+        }
+    }
+    if (data.surface != null && !SURFACES[data.surface]) {
+        throw userError('error.replaySurface', `Replay file is for an unknown body site: ${data.surface}`,
+            { surface: data.surface });
+    }
+    checkParams(data.params);
+    if (data.version === 1) {
+        data.events.forEach((e, i) => checkEvent(e, i, data.events[i - 1]));
+        return upgradeRecording(data);
+    }
+    if (!Array.isArray(data.frames) || !data.frames.every(ms => Number.isInteger(ms) && ms >= 0)) {
+        throw userError('error.replayFrames', 'Replay file has invalid step lengths');
+    }
+    data.events.forEach((e, i) => {
+        checkEvent(e, i, data.events[i - 1]);
+        if (!Number.isInteger(e.f) || e.f < 0 || e.f > data.frames.length || (i > 0 && e.f < data.events[i - 1].f)) {
+            throw userError('error.replayStepOrder', `Replay event ${i + 1} is out of step order`, { index: i + 1 });
+        }
+    });
+    return data;
+}
+
+function checkParams(params) {
+    for (const name of PARAM_KEYS) {
+        if (params[name] != null && !Number.isFinite(params[name])) {
+            throw userError('error.replayParam', `Replay file has an invalid ${name}`, { name });
+        }
+    }
+    if (!POLYMERS[params.polymer]) {
+        throw userError('error.replayPolymer', `Replay file uses an unknown polymer: ${params.polymer}`,
+            { id: params.polymer });
+    }
+    if (params.drug != null && params.drug !== 'none' && !DRUG_AGENTS[params.drug]) {
+        throw userError('error.replayDrug', `Replay file uses an unknown drug: ${params.drug}`, { id: params.drug });
+    }
+}
+
+// One event of the timeline; prev is the event before it
+function checkEvent(e, i, prev) {
+    const bad = () => userError('error.replayEvent', `Replay event ${i + 1} is invalid`, { index: i + 1 });
+    if (!e || !Number.isFinite(e.t) || e.t < 0) throw bad();
+    if (prev && e.t < prev.t) {
+        throw userError('error.replayTimeOrder', `Replay event ${i + 1} is out of time order`, { index: i + 1 });
+    }
+    const ok = {
+        aim: () => Number.isFinite(e.x) && Number.isFinite(e.z),
+        spray: () => typeof e.on === 'boolean',
+        param: () => PARAM_KEYS.includes(e.name) && Number.isFinite(e.value),
+        polymer: () => !!POLYMERS[e.id],
+        drug: () => e.id === 'none' || !!DRUG_AGENTS[e.id],
+    }[e.type];
+    if (!ok || !ok()) throw bad();
+}
+
+// Version 1 kept event times only: lay steps of up to LEGACY_STEP between
+// them so each event still lands on its own step, and run one step past
+// the end (the wound was completed by the step after the last frame)
+function upgradeRecording(data) {
+    const frames = [];
+    let now = 0;
+    const advanceTo = ms => {
+        while (now < ms) {
+            const step = Math.min(LEGACY_STEP, ms - now);
+            frames.push(step);
+            now += step;
+        }
+    };
+    for (const e of data.events) {
+        advanceTo(Math.round(e.t * 1000));
+        e.f = frames.length;
+    }
+    advanceTo(Math.round((data.duration || 0) * 1000));
+    frames.push(LEGACY_STEP);
+    return { ...data, version: REPLAY_VERSION, frames };
+}
+
+// ─── Playback ────────────────────────────────────────────────────────
+export function createPlayer(rec) {
+    return { rec, cursor: 0, frame: 0, due: 0, done: false };
+}
+
+// Play dt more seconds of the recording. Every recorded step that falls due
+// goes through step(stepDt), after the events recorded before it went through
+// apply(event); step returns true once the wound is complete. The player is
+// done when that happens or the steps run out.
+export function advancePlayer(player, dt, apply, step) {
+    const { events, frames } = player.rec;
+    player.due += dt;
+    while (!player.done && player.frame < frames.length && player.due >= frames[player.frame] / 1000) {
+        while (player.cursor < events.length && events[player.cursor].f <= player.frame) {
+            apply(events[player.cursor++]);
+        }
+        const stepDt = frames[player.frame] / 1000;
+        player.due -= stepDt;
+        player.frame++;
+        if (step(stepDt)) player.done = true;
+    }
+    if (player.frame >= frames.length) player.done = true;
+    return player.done;
+}
@@ -0,0 +1,234 @@
+/* ===================================================================
+   SpinCare — Session Report
+   Completed run → JSON / CSV for analysis, printable HTML for logbooks
+   Pure module: no Three.js, no DOM — snapshots are passed in as data URLs
+   =================================================================== */
+
+import { DEFAULT_PARAMS, depositionEfficiency, meanFiberDiameter, coverageUniformity } from './sim.js';
+import { DRUG_AGENTS, releaseProfile } from './drug.js';
+
+const REPORT_KIND = 'spincare-session-report';
+const REPORT_VERSION = 1;
+const TIMELINE_KEYS = [
+    'voltage', 'distance', 'flowRate', 'polymer', 'humidity', 'temperature', 'drug', 'drugLoading',
+];
+
+// ─── Report ──────────────────────────────────────────────────────────
+// rec: the run's recording (replay.js) or null if it was not recorded.
+// info: { player, elapsed (wall-clock s), fibers, score (scoreRun()), level, snapshots }
+export function buildReport(sim, rec, info) {
+    const drug = releaseProfile(sim);
+    return {
+        kind: REPORT_KIND,
+        version: REPORT_VERSION,
+        createdAt: new Date().toISOString(),
+        player: info.player || 'Anonymous',
+        wound: {
+            type: sim.woundType,
+            seed: sim.seed,
+            surface: sim.surface,
+            cells: sim.woundCellCount,
+            level: info.level || null,
+        },
+        result: {
+            simTime: round(sim.time, 2),
+            elapsed: round(info.elapsed, 1),
+            fibers: info.fibers,
+            coverage: round(sim.coverage, 1),
+            meanThickness: round(sim.meanThickness, 1),
+            underPct: round(sim.underPct, 1),
+            overPct: round(sim.overPct, 1),
+            fiberDiameter: Math.round(meanFiberDiameter(sim)),
+            uniformity: round(coverageUniformity(sim), 3),
+            efficiency: round(depositionEfficiency(sim), 1),
+            waste: Object.fromEntries(Object.entries(sim.waste).map(([k, v]) => [k, round(v, 2)])),
+            score: info.score.total,
+            grade: info.score.grade,
+        },
+        drug: drug && {
+            id: sim.params.drug,
+            agent: drug.agent.name,
+            loading: sim.params.drugLoading,
+            dose: round(drug.dose, 1),
+            burst: round(drug.burst, 3),
+            t50: drug.t50 == null ? null : round(drug.t50, 1),
+            t90: drug.t90 == null ? null : round(drug.t90, 1),
+        },
+        timeline: paramTimeline(sim, rec),
+        snapshots: info.snapshots || null,
+    };
+}
+
+// Settings over the run: one row per moment something changed, each row the
+// full set of TIMELINE_KEYS from then on. Without a recording only the
+// final settings are known.
+function paramTimeline(sim, rec) {
+    if (!rec) return [{ t: 0, ...pick(sim.params) }];
+    const current = pick({ ...DEFAULT_PARAMS, ...rec.params });
+    const rows = [{ t: 0, ...current }];
+    for (const e of rec.events) {
+        if (e.type === 'param') current[e.name] = e.value;
+        else if (e.type === 'polymer') current.polymer = e.id;
+        else if (e.type === 'drug') current.drug = e.id;
+        else continue;
+        const last = rows[rows.length - 1];
+        if (last.t === e.t) Object.assign(last, current);
+        else rows.push({ t: e.t, ...current });
+    }
+    return rows;
+}
+
+function pick(params) {
+    return Object.fromEntries(TIMELINE_KEYS.map(k => [k, params[k]]));
+}
+
+function round(v, digits) {
+    const f = 10 ** digits;
+    return Math.round(v * f) / f;
+}
+
+// ─── Formats ─────────────────────────────────────────────────────────
+export function reportToJSON(report) {
+    return JSON.stringify(report, null, 2);
+}
+
+// Summary as metric,value rows, a blank line, then the settings timeline
+export function reportToCSV(report) {
+    const r = report.result;
+    const summary = [
+        ['player', report.player],
+        ['date', report.createdAt],
+        ['wound_type', report.wound.type],
+        ['surface', report.wound.surface],
+        ['seed', report.wound.seed],
+        ['level', report.wound.level ?? ''],
+        ['wound_cells', report.wound.cells],
+        ['sim_time_s', r.simTime],
+        ['elapsed_s', r.elapsed],
+        ['fibers', r.fibers],
+        ['coverage_pct', r.coverage],
+        ['mean_thickness_um', r.meanThickness],
+        ['under_pct', r.underPct],
+        ['over_pct', r.overPct],
+        ['fiber_diameter_nm', r.fiberDiameter],
+        ['uniformity', r.uniformity],
+        ['efficiency_pct', r.efficiency],
+        ['dispensed_ul', r.waste.dispensed],
+        ['wound_ul', r.waste.wound],
+        ['skin_ul', r.waste.skin],
+        ['off_target_ul', r.waste.offTarget],
+        ['score', r.score],
+        ['grade', r.grade],
+    ];
+    if (report.drug) {
+        const d = report.drug;
+        summary.push(['drug', d.agent], ['drug_loading_pct', d.loading], ['drug_dose_ug', d.dose],
+            ['drug_burst_24h', d.burst], ['drug_t50_days', d.t50 ?? ''], ['drug_t90_days', d.t90 ?? '']);
+    }
+    const lines = [['metric', 'value'], ...summary].map(csvRow);
+    lines.push('');
+    lines.push(csvRow(['t_s', ...TIMELINE_KEYS]));
+    for (const row of report.timeline) lines.push(csvRow([row.t, ...TIMELINE_KEYS.map(k => row[k])]));
+    return lines.join('\n') + '\n';
+}
+
+function csvRow(cells) {
+    return cells.map(c => {
+        const s = String(c ?? '');
+        return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+    }).join(',');
+}
+
+// Standalone page for printing or saving as PDF, in the page's language.
+// text: { t, fmt, fmtDate, lang } from i18n.js (this module has no DOM)
+export function reportToHTML(report, text) {
+    const { t, fmt, fmtDate, lang } = text;
+    const r = report.result;
+    const w = report.wound;
+    const days = d => (d == null ? t('release.never') : t('release.days', { n: fmt(d, 1) }));
+    const woundVars = { type: t('woundType.' + w.type), seed: w.seed };
+    const rows = [
+        ['report.wound', w.level
+            ? t('report.woundLevel', { ...woundVars, level: t(`level.${w.level}.title`) })
+            : t('report.woundSeed', woundVars)],
+        ['report.woundSize', t('report.cells', { n: w.cells })],
+        ['report.surface', t('surface.' + w.surface)],
+        ['report.time', t('report.timeValue', { sim: fmt(r.simTime, 1), clock: fmt(r.elapsed, 1) })],
+        ['report.fibers', fmt(r.fibers)],
+        ['report.coverage', `${fmt(r.coverage, 1)}%`],
+        ['report.thickness', t('report.thicknessValue', {
+            mean: fmt(r.meanThickness, 1), under: fmt(r.underPct, 1), over: fmt(r.overPct, 1),
+        })],
+        ['report.fiberDiameter', `${fmt(r.fiberDiameter)} nm`],
+        ['report.uniformity', `${fmt(r.uniformity * 100)}%`],
+        ['report.efficiency', t('report.efficiencyValue', {
+            pct: fmt(r.efficiency, 1), dispensed: fmt(r.waste.dispensed, 2),
+        })],
+        ['report.score', t('report.scoreValue', { score: fmt(r.score), grade: r.grade })],
+    ];
+    if (report.drug) {
+        const d = report.drug;
+        rows.push(['report.drug', t('report.drugValue', {
+            agent: d.id ? t('drug.' + d.id) : d.agent, loading: fmt(d.loading, 1), dose: fmt(d.dose, 1),
+        })]);
+        rows.push(['report.release', t('report.releaseValue', {
+            burst: fmt(d.burst * 100), t50: days(d.t50), t90: days(d.t90),
+        })]);
+    }
+    const drugCell = row => (DRUG_AGENTS[row.drug]
+        ? `${esc(t('drug.' + row.drug))} ${esc(fmt(Number(row.drugLoading), 1))}%`
+        : '—');
+    const timeline = report.timeline.map(row => `
+            <tr><td>${esc(fmt(Number(row.t), 1))} s</td><td>${esc(t(`polymer.${row.polymer}.name`))}</td>
+                <td>${esc(fmt(Number(row.voltage), 1))} kV</td><td>${esc(fmt(Number(row.distance), 1))} cm</td>
+                <td>${esc(fmt(Number(row.flowRate), 1))} mL/h</td>
+                <td>${esc(fmt(Number(row.humidity)))}% · ${esc(fmt(Number(row.temperature)))} °C</td>
+                <td>${drugCell(row)}</td></tr>`).join('');
+    const shots = report.snapshots ? `
+        <div class="shots">
+            <figure><img src="${esc(report.snapshots.wound)}" alt="${esc(t('report.dressing'))}"><figcaption>${esc(t('report.dressing'))}</figcaption></figure>
+            <figure><img src="${esc(report.snapshots.coverage)}" alt="${esc(t('report.coverageMap'))}"><figcaption>${esc(t('report.coverageMap'))}</figcaption></figure>
+        </div>` : '';
+    const columns = ['from', 'polymer', 'voltage', 'distance', 'flow', 'room', 'drug']
+        .map(c => `<th>${esc(t('report.col.' + c))}</th>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="${esc(lang)}">
+<head>
+<meta charset="UTF-8">
+<title>${esc(t('report.pageTitle', { player: report.player }))}</title>
+<style>
+    body { font: 13px/1.5 system-ui, sans-serif; color: #1e293b; max-width: 760px; margin: 32px auto; padding: 0 24px; }
+    h1 { font-size: 20px; color: #0891b2; margin: 0 0 4px; }
+    h2 { font-size: 14px; margin: 24px 0 8px; }
+    .meta { color: #64748b; margin: 0 0 16px; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #e2e8f0; }
+    th { font-size: 11px; text-transform: uppercase; color: #64748b; }
+    .summary th { width: 160px; text-transform: none; font-size: 13px; color: #1e293b; }
+    .shots { display: flex; gap: 16px; }
+    figure { margin: 0; flex: 1; text-align: center; }
+    figure img { width: 100%; image-rendering: pixelated; border: 1px solid #e2e8f0; border-radius: 6px; }
+    figcaption { color: #64748b; font-size: 11px; }
+    @media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+    <h1>${esc(t('report.title'))}</h1>
+    <p class="meta">${esc(report.player)} · ${esc(fmtDate(report.createdAt))}</p>
+    <table class="summary">${rows.map(([k, v]) => `
+        <tr><th>${esc(t(k))}</th><td>${esc(v)}</td></tr>`).join('')}
+    </table>
+    <h2>${esc(t('report.snapshots'))}</h2>${shots || `\n    <p class="meta">${esc(t('report.noSnapshots'))}</p>`}
+    <h2>${esc(t('report.timeline'))}</h2>
+    <table>
+        <tr>${columns}</tr>${timeline}
+    </table>
+</body>
+</html>
+`;
+}
+
+function esc(s) {
+    return String(s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
@@ -0,0 +1,61 @@
+/* ===================================================================
+   SpinCare — Run Scoring
+   Time · Uniformity · Overspray · Fiber diameter → score and letter grade
+   Pure module: no Three.js, no DOM
+   =================================================================== */
+
+import { GRID_SCALE, depositionEfficiency, coverageUniformity, meanFiberDiameter } from './sim.js';
+
+// Fiber diameter that best mimics the collagen fibrils of the dermal matrix
+export const CLINICAL_FIBER_TARGET = 300;   // nm
+
+// Par pace: wound cells a careful trainee covers per simulated second.
+// Bigger wounds get proportionally more time. Tuned at a 128 grid; a finer
+// grid has more cells per unit of wound area.
+const PAR_CELLS_PER_SECOND = 150 * GRID_SCALE ** 2;
+
+// weight: share of the 100-point total
+export const SCORE_CATEGORIES = {
+    time: { label: 'Time', weight: 25 },
+    uniformity: { label: 'Uniformity', weight: 30 },
+    overspray: { label: 'Overspray', weight: 25 },
+    fiber: { label: 'Fiber Ø', weight: 20 },
+};
+
+const GRADES = [[90, 'A'], [80, 'B'], [70, 'C'], [60, 'D'], [0, 'F']];
+
+// 1 at or better than `best`, 0 at or worse than `worst`, linear between
+function ramp(value, best, worst) {
+    const t = (value - worst) / (best - worst);
+    return Math.max(0, Math.min(1, t));
+}
+
+// Score a completed run. Returns { total, grade, categories } where each
+// category is { label, weight, value, points } (points out of weight).
+// Uses simulated time, so a replay of the run scores the same.
+export function scoreRun(sim) {
+    const par = sim.woundCellCount / PAR_CELLS_PER_SECOND;
+    const uniformity = coverageUniformity(sim);
+    const wasteShare = 1 - depositionEfficiency(sim) / 100;
+    const fiber = meanFiberDiameter(sim);
+
+    const ratios = {
+        // Full marks up to par, half marks at twice par
+        time: Math.min(1, par / Math.max(sim.time, 0.001)),
+        uniformity: ramp(uniformity, 0.85, 0.4),
+        overspray: ramp(wasteShare, 0.25, 0.8),
+        fiber: ramp(Math.abs(fiber - CLINICAL_FIBER_TARGET), 50, 300),
+    };
+    const values = { time: sim.time, uniformity, overspray: wasteShare, fiber };
+
+    const categories = {};
+    let total = 0;
+    for (const [id, cat] of Object.entries(SCORE_CATEGORIES)) {
+        const points = cat.weight * ratios[id];
+        categories[id] = { label: cat.label, weight: cat.weight, value: values[id], points };
+        total += points;
+    }
+    total = Math.round(total);
+    const grade = GRADES.find(([min]) => total >= min)[1];
+    return { total, grade, categories };
+}
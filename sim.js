@@ -0,0 +1,925 @@
+/* ===================================================================
+   SpinCare — Simulation Core
+   Wound mask · Coverage grid · Spray physics · Deposition · Win check
+   Pure module: no Three.js, no DOM — runs in the browser or in Node
+   =================================================================== */
+
+import { SURFACES, bendAxis, unbendAxis, surfaceDrop } from './surface.js';
+
+// ─── Constants ───────────────────────────────────────────────────────
+// The wound is defined by a W_GRID×W_GRID mask (1 = wound, 0 = skin).
+// Cell counts and per-cell rates are tuned at 128 and scaled by GRID_SCALE
+// (here, in scoring.js and in healing.js), so 256 or 512 keep the same
+// wound sizes, par times and healing pace — only the painting gets finer.
+export const W_GRID = 128;
+export const GRID_SCALE = W_GRID / 128;   // cells per tuned cell, along one axis
+export const WOUND_WORLD = 3.5;   // world-space radius the wound grid covers
+export const CELL_SIZE = (WOUND_WORLD * 2) / W_GRID;   // world units per grid cell
+export const WIN_COVERAGE = 99;   // % coverage that completes the wound
+export const MIN_WOUND_CELLS = Math.round(50 * GRID_SCALE ** 2);   // smaller masks are rejected as not a wound
+const NEAR_WOUND = Math.round(4 * GRID_SCALE);   // cells — skin this close to the wound shows fiber overflow
+// Target scaffold thickness (µm). A cell is fully covered once it reaches
+// min; above max the mat is over-deposited (occlusive, slow to degrade).
+export const THICKNESS_BAND = { min: 20, max: 60 };
+// sim.hits holds HIT_STRIDE floats per touched cell: gx, gy, coverage
+// value (−1 for a skin cell), falloff
+export const HIT_STRIDE = 4;
+
+// Polymer solutions. Material properties feed calcSprayPhysics():
+//   viscosity (cP)       — resists jet stretching → thicker fibers
+//   conductivity (µS/cm) — more surface charge → more whipping, thinner fibers, wider spray
+//   concentration (% w/v)— solids per mL → faster build-up, thicker fibers
+//   volatility (0–1)     — solvent evaporation speed; fast drying freezes the jet early
+//   degradationDays      — time for the scaffold to be resorbed in the wound
+//   antimicrobial (0–1)  — how strongly the mat itself suppresses infection
+//   releaseDays          — diffusion time of a small drug out of a THICKNESS_BAND.min mat
+//   swelling (0–1)       — water uptake; swollen fibers give up more drug in the burst
+export const POLYMERS = {
+    PCL: {
+        hex: 0x0891b2, css: '#0891b2', fiber: 'rgba(8,145,178,',
+        name: 'Polycaprolactone', solvent: 'Chloroform / DMF',
+        viscosity: 800, conductivity: 2, concentration: 12, volatility: 0.8, degradationDays: 540,
+        antimicrobial: 0, releaseDays: 30, swelling: 0.1,
+    },
+    PVA: {
+        hex: 0x7c3aed, css: '#7c3aed', fiber: 'rgba(124,58,237,',
+        name: 'Polyvinyl alcohol', solvent: 'Water',
+        viscosity: 400, conductivity: 150, concentration: 10, volatility: 0.2, degradationDays: 3,
+        antimicrobial: 0, releaseDays: 0.3, swelling: 1,
+    },
+    PLGA: {
+        hex: 0x059669, css: '#059669', fiber: 'rgba(5,150,105,',
+        name: 'Poly(lactic-co-glycolic acid)', solvent: 'HFIP',
+        viscosity: 600, conductivity: 5, concentration: 15, volatility: 0.9, degradationDays: 60,
+        antimicrobial: 0, releaseDays: 10, swelling: 0.3,
+    },
+    Chitosan: {
+        hex: 0xd97706, css: '#d97706', fiber: 'rgba(217,119,6,',
+        name: 'Chitosan / PEO blend', solvent: 'Acetic acid (90%)',
+        viscosity: 1500, conductivity: 900, concentration: 6, volatility: 0.3, degradationDays: 28,
+        antimicrobial: 0.6, releaseDays: 4, swelling: 0.7,
+    },
+};
+
+// Parameters a fresh simulation starts with
+export const DEFAULT_PARAMS = {
+    voltage: 15,        // kV (5–25)
+    distance: 10,       // cm (5–20)
+    flowRate: 2.0,      // mL/h (0.5–5.0)
+    polymer: 'PCL',
+    humidity: 45,       // % relative humidity (20–80)
+    temperature: 22,    // °C (15–40)
+    drug: 'none',       // DRUG_AGENTS key (drug.js) or 'none'
+    drugLoading: 5,     // % w/w of polymer (0–20)
+};
+
+// Typical room conditions for scenario presets (humidity %RH, temperature °C)
+export const CLINIC_CONDITIONS = {
+    theatre: { label: 'Operating theatre', humidity: 45, temperature: 22 },
+    winter: { label: 'Heated winter clinic', humidity: 25, temperature: 24 },
+    tropical: { label: 'Tropical ward, no A/C', humidity: 75, temperature: 32 },
+    field: { label: 'Field hospital tent', humidity: 60, temperature: 38 },
+    cold: { label: 'Cold storage room', humidity: 35, temperature: 16 },
+};
+
+// ─── Errors ──────────────────────────────────────────────────────────
+// Errors the player can cause (bad files, too small a wound) carry a string
+// catalog key and its vars, so the UI can show them with t(); the message
+// is the English text, for logs and Node.
+export function userError(key, message, vars = {}) {
+    return Object.assign(new Error(message), { key, vars });
+}
+
+// ─── Seeded Randomness ───────────────────────────────────────────────
+// Wound generation is driven by a seeded PRNG so a seed (shared via the
+// URL, e.g. ?seed=week5&type=star) always reproduces the same wound mask.
+export function hashSeed(str) {
+    // FNV-1a — maps any seed string to a 32-bit integer
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
+
+export function createRng(seed) {
+    // mulberry32 — small, fast, good enough for procedural shapes
+    let a = hashSeed(String(seed));
+    return () => {
+        a = (a + 0x6d2b79f5) | 0;
+        let t = Math.imul(a ^ (a >>> 15), 1 | a);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+export function randomSeed() {
+    return Math.floor(Math.random() * 0xffffffff).toString(36);
+}
+
+// ─── Operating Regimes ───────────────────────────────────────────────
+// Electrospinning only yields clean fibers inside an operating window.
+//   dripping — field too weak to pull a Taylor cone: droplets, not fibers
+//   beaded   — too much solution for the charge: fibers with bead defects
+//   multijet — field too strong: the cone splits into unstable jets
+//   wet      — solvent has not evaporated on landing: fibers fuse into a film
+// quality = share of deposited mass that forms usable scaffold
+export const REGIMES = {
+    stable: { label: 'Stable jet', quality: 1.0, diameterScale: 1.0, radiusScale: 1.0, jets: 1 },
+    dripping: { label: 'Dripping', quality: 0.15, diameterScale: 8.0, radiusScale: 0.5, jets: 1 },
+    beaded: { label: 'Beaded fibers', quality: 0.6, diameterScale: 1.3, radiusScale: 1.0, jets: 1 },
+    multijet: { label: 'Multi-jet', quality: 0.75, diameterScale: 0.8, radiusScale: 1.4, jets: 3 },
+    wet: { label: 'Wet, fused fibers', quality: 0.5, diameterScale: 1.6, radiusScale: 0.9, jets: 1 },
+};
+
+const clamp01 = v => Math.max(0, Math.min(1, v));
+
+// Material factors relative to PCL, so PCL keeps the baseline behaviour
+function materialFactors(poly) {
+    return {
+        kVisc: Math.pow(poly.viscosity / 800, 0.4),
+        kCond: 1 + 0.15 * Math.log10(poly.conductivity / 2),
+        kConc: poly.concentration / 12,
+        kVol: 0.84 + 0.2 * poly.volatility,
+    };
+}
+
+// Room conditions, relative to DEFAULT_PARAMS (45 %RH, 22 °C):
+//   evaporation — solvent drying rate; doubles every 10 °C, stalls in moist air
+//   kViscT      — warmer solutions flow more easily
+//   kCharge     — moist air bleeds charge off the jet, dry air lets it build up
+//   drying      — how dry fibers are on landing (evaporation × flight distance)
+//   breath      — 0–1 surface pores from water condensing on volatile jets
+export function ambientFactors(params) {
+    const poly = POLYMERS[params.polymer];
+    const rh = params.humidity / 100;
+    const dT = params.temperature - 22;
+    const evaporation = poly.volatility * Math.pow(2, dT / 10) * (1 - rh) / 0.55;
+    return {
+        evaporation,
+        kViscT: Math.exp(-0.02 * dT),
+        kCharge: 1 - 0.6 * (rh - 0.45),
+        drying: evaporation * params.distance / 10,
+        breath: poly.volatility * clamp01((rh - 0.5) / 0.3),
+    };
+}
+
+// Mat porosity (void fraction): breath figures open it up, wet fibers
+// fuse into a film and close it. 0.6 is a typical dry electrospun mat.
+export function matPorosity(params, regime = classifyRegime(params)) {
+    const { breath } = ambientFactors(params);
+    const fusion = regime.id === 'wet' ? 0.3 + 0.5 * regime.severity : 0;
+    return Math.max(0.15, 0.6 + 0.2 * breath - 0.45 * fusion);
+}
+
+// Returns { id, severity } — severity 0–1 is how far outside the window
+export function classifyRegime(params) {
+    const V = params.voltage;
+    const F = params.flowRate;
+    const field = V / params.distance;   // kV/cm
+    const { kVisc, kCond } = materialFactors(POLYMERS[params.polymer]);
+    const { kViscT, kCharge, drying } = ambientFactors(params);
+
+    // Too weak a field (humid air makes it weaker) → dripping
+    const dripField = 0.75 / kCharge;
+    if (field < dripField) return { id: 'dripping', severity: clamp01((dripField - field) / 0.5) };
+
+    // Too strong (conductive solutions and dry air split earlier) → multi-jet
+    const jetVoltage = 21 / Math.sqrt(kCond * kCharge);
+    const jetField = 3.0 / Math.sqrt(kCond * kCharge);
+    if (V > jetVoltage || field > jetField) {
+        return { id: 'multijet', severity: clamp01(Math.max((V - jetVoltage) / 4, (field - jetField) / 1.5)) };
+    }
+
+    // Solvent still liquid on landing → fibers fuse into a wet film
+    const wetDrying = 0.12;
+    if (drying < wetDrying) return { id: 'wet', severity: clamp01((wetDrying - drying) / wetDrying) };
+
+    // Too much flow for the charge (thin or warm solutions, humid air) → beaded
+    const beadRatio = 0.18 * kVisc * kViscT * kCharge;
+    if (F / V > beadRatio) return { id: 'beaded', severity: clamp01((F / V - beadRatio) / beadRatio) };
+
+    return { id: 'stable', severity: 0 };
+}
+
+// ─── Physics Model ───────────────────────────────────────────────────
+// Derives simulation values from real electrospinning parameters, the
+// polymer solution and the room, then applies the current operating regime.
+export function calcSprayPhysics(params) {
+    const V = params.voltage;  // kV
+    const D = params.distance; // cm
+    const F = params.flowRate; // mL/h
+    const { kVisc, kCond, kConc } = materialFactors(POLYMERS[params.polymer]);
+    const { evaporation, kViscT } = ambientFactors(params);
+    const regime = classifyRegime(params);
+    const fx = REGIMES[regime.id];
+
+    // Fiber diameter (nm): higher voltage → thinner, higher flow → thicker;
+    // viscous, concentrated, fast-drying solutions → thicker, conductive → thinner
+    // Realistic range: ~100–800nm (droplets when dripping are far larger)
+    const kVol = 0.84 + 0.2 * Math.min(2, evaporation);
+    const fiberDiameter = Math.max(
+        60, (600 - V * 20 + F * 40) * kVisc * kViscT * Math.sqrt(kConc) * kVol / kCond
+    ) * fx.diameterScale;
+
+    // Spray radius (world units): increases with distance, slightly with voltage;
+    // conductive jets whip harder and spread wider
+    const sprayRadius = (0.2 + D * 0.06 + V * 0.008) * (0.85 + 0.15 * kCond) * fx.radiusScale;
+
+    // Share of deposit that is usable scaffold — worse the further out of window
+    const quality = regime.id === 'stable' ? 1 : fx.quality * (1 - 0.3 * regime.severity);
+
+    // Accumulation rate: proportional to polymer delivered (flow × solids),
+    // inversely to spray area
+    const area = Math.PI * sprayRadius * sprayRadius;
+    const accumulationRate = (F * 1.8 * kConc) / Math.max(0.5, area * 0.5);
+
+    // Mat porosity: a lofty mat builds thickness faster from the same mass
+    const porosity = matPorosity(params, regime);
+
+    // Deposition rate at spray center (µm/s) — one accumulation unit
+    // builds exactly the minimum target thickness at a typical 0.6 porosity
+    const depositionRate = accumulationRate * THICKNESS_BAND.min * (1 - 0.6) / (1 - porosity);
+
+    // Particle speed: proportional to voltage (electric field strength);
+    // drops barely accelerate and mostly fall
+    const particleSpeed = (4 + V * 0.6) * (regime.id === 'dripping' ? 0.35 : 1);
+
+    // Particle spread: higher distance = more spread
+    const particleSpread = 0.1 + D * 0.02;
+
+    // Emission count per frame: proportional to flow rate
+    const emissionRate = F * 8;
+
+    // Gaussian sigma: wider at higher distance
+    const gaussianSigma = 0.7 + D * 0.015;
+
+    // Visual fiber length: thicker fibers = shorter, thinner = longer
+    const fiberLength = 0.1 + (fiberDiameter / 800) * 0.4;
+
+    // Particle visual size: thicker fibers = larger particles
+    const particleSize = 1.0 + (fiberDiameter / 400);
+
+    return {
+        regime: regime.id,  // key of REGIMES
+        severity: regime.severity,
+        quality,         // 0–1 usable share of deposit
+        jets: fx.jets,   // number of jets the cone splits into
+        fiberDiameter,   // nm
+        porosity,        // 0–1 void fraction of the mat
+        sprayRadius,     // world units
+        accumulationRate,// coverage per second
+        depositionRate,  // µm per second
+        particleSpeed,   // world units / sec
+        particleSpread,  // spread factor
+        emissionRate,    // particles per frame
+        gaussianSigma,   // 0-1 fraction of radius
+        fiberLength,     // world units
+        particleSize,    // point size
+    };
+}
+
+// ─── Wound Shape ─────────────────────────────────────────────────────
+// Wound types — each takes a PRNG and returns a function (gx, gy) => boolean
+export const WOUND_TYPES = {
+    // Irregular blob — overlapping circles
+    blob: (rand) => {
+        const numBlobs = 3 + Math.floor(rand() * 4);
+        const blobs = [];
+        for (let i = 0; i < numBlobs; i++) {
+            blobs.push({
+                cx: W_GRID / 2 + (rand() - 0.5) * W_GRID * 0.35,
+                cy: W_GRID / 2 + (rand() - 0.5) * W_GRID * 0.35,
+                r: W_GRID * (0.12 + rand() * 0.2),
+            });
+        }
+        return (gx, gy) => blobs.some(b => {
+            const dx = gx - b.cx, dy = gy - b.cy;
+            return dx * dx + dy * dy < b.r * b.r;
+        });
+    },
+    // Elongated oval
+    oval: (rand) => {
+        const angle = rand() * Math.PI;
+        const rx = W_GRID * (0.15 + rand() * 0.15);
+        const ry = W_GRID * (0.28 + rand() * 0.12);
+        const cos = Math.cos(angle), sin = Math.sin(angle);
+        return (gx, gy) => {
+            const dx = gx - W_GRID / 2, dy = gy - W_GRID / 2;
+            const u = dx * cos + dy * sin, v = -dx * sin + dy * cos;
+            return (u * u) / (rx * rx) + (v * v) / (ry * ry) < 1;
+        };
+    },
+    // Star-shaped burn
+    star: (rand) => {
+        const cx = W_GRID / 2, cy = W_GRID / 2;
+        const points = 5 + Math.floor(rand() * 4);
+        const rOuter = W_GRID * (0.25 + rand() * 0.1);
+        const rInner = rOuter * (0.4 + rand() * 0.2);
+        const rot = rand() * Math.PI * 2;
+        return (gx, gy) => {
+            const dx = gx - cx, dy = gy - cy;
+            const dist = Math.sqrt(dx * dx + dy * dy);
+            const angle = Math.atan2(dy, dx) + rot;
+            const t = ((angle / (Math.PI * 2)) * points % 1 + 1) % 1;
+            const rAt = t < 0.5
+                ? rInner + (rOuter - rInner) * (1 - Math.abs(t - 0.25) * 4)
+                : rInner + (rOuter - rInner) * (1 - Math.abs(t - 0.75) * 4);
+            return dist < rAt;
+        };
+    },
+    // Linear gash (thick line)
+    gash: (rand) => {
+        const cx = W_GRID / 2, cy = W_GRID / 2;
+        const angle = rand() * Math.PI;
+        const length = W_GRID * (0.3 + rand() * 0.15);
+        const width = W_GRID * (0.08 + rand() * 0.06);
+        const cos = Math.cos(angle), sin = Math.sin(angle);
+        // Add some branching
+        const branches = [];
+        const numBranch = Math.floor(rand() * 3);
+        for (let i = 0; i < numBranch; i++) {
+            const t = 0.2 + rand() * 0.6;
+            const bAngle = angle + (rand() - 0.5) * 1.5;
+            branches.push({
+                ox: cx + cos * length * (t - 0.5), oy: cy + sin * length * (t - 0.5),
+                cos: Math.cos(bAngle), sin: Math.sin(bAngle),
+                len: length * (0.2 + rand() * 0.3), w: width * 0.6
+            });
+        }
+        return (gx, gy) => {
+            // Main line
+            const dx = gx - cx, dy = gy - cy;
+            const along = dx * cos + dy * sin;
+            const perp = Math.abs(-dx * sin + dy * cos);
+            if (Math.abs(along) < length / 2 && perp < width) return true;
+            // Branches
+            for (const b of branches) {
+                const bdx = gx - b.ox, bdy = gy - b.oy;
+                const ba = bdx * b.cos + bdy * b.sin;
+                const bp = Math.abs(-bdx * b.sin + bdy * b.cos);
+                if (Math.abs(ba) < b.len / 2 && bp < b.w) return true;
+            }
+            return false;
+        };
+    },
+    // Multi-spot wounds (scattered small circles)
+    spots: (rand) => {
+        const spots = [];
+        const n = 4 + Math.floor(rand() * 5);
+        for (let i = 0; i < n; i++) {
+            spots.push({
+                cx: W_GRID / 2 + (rand() - 0.5) * W_GRID * 0.5,
+                cy: W_GRID / 2 + (rand() - 0.5) * W_GRID * 0.5,
+                r: W_GRID * (0.05 + rand() * 0.1),
+            });
+        }
+        return (gx, gy) => spots.some(s => {
+            const dx = gx - s.cx, dy = gy - s.cy;
+            return dx * dx + dy * dy < s.r * s.r;
+        });
+    },
+};
+export const WOUND_TYPE_IDS = Object.keys(WOUND_TYPES);
+
+// ─── Simulation State ────────────────────────────────────────────────
+// opts.seed: any string (random if omitted); opts.type: a WOUND_TYPES key
+export function createSim(opts = {}) {
+    const sim = {
+        mask: new Uint8Array(W_GRID * W_GRID),          // 1 = wound cell
+        thicknessGrid: new Float32Array(W_GRID * W_GRID), // deposited µm
+        defectGrid: new Float32Array(W_GRID * W_GRID),   // µm of that which is drops/beads
+        coverageGrid: new Float32Array(W_GRID * W_GRID), // 0.0-1.0 of THICKNESS_BAND.min
+        drugGrid: new Float32Array(W_GRID * W_GRID),     // µg of loaded drug
+        proximity: new Uint8Array(W_GRID * W_GRID),      // cells to the nearest wound cell (max 255)
+        woundCellCount: 0,
+        seed: '',
+        woundType: '',
+        surface: SURFACES[opts.surface] ? opts.surface : 'flat',   // body part (see surface.js)
+        // ── Electrospinning parameters ──
+        params: { ...DEFAULT_PARAMS },
+        coverage: 0,        // % of wound covered (average of cell values)
+        meanThickness: 0,   // µm over wound cells
+        underPct: 100,      // % of wound cells below THICKNESS_BAND.min
+        overPct: 0,         // % of wound cells above THICKNESS_BAND.max
+        // Running sums over wound cells, updated cell by cell as fibers land
+        totals: { coverage: 0, thickness: 0, under: 0, over: 0, drug: 0 },
+        // Polymer solution accounting (µL): dispensed = wound + skin + offTarget
+        waste: { dispensed: 0, wound: 0, skin: 0, offTarget: 0 },
+        fiberDiameterSum: 0,  // Σ fiber diameter × µL landed on the wound
+        regime: 'stable',   // operating regime of the current parameters
+        time: 0,            // simulated seconds
+        complete: false,    // true once coverage reaches WIN_COVERAGE
+        hits: new Float32Array(1024 * HIT_STRIDE),   // cells touched by the last step (for renderers)
+        hitCount: 0,
+        rand: Math.random,
+    };
+    generateWound(sim, opts.seed ?? randomSeed(), opts.type ?? null);
+    return sim;
+}
+
+// seed: any string; type: a WOUND_TYPES key, or null to let the seed pick one
+export function generateWound(sim, seed, type) {
+    const rand = createRng(seed);
+    // The type is drawn from the stream even when given, so a seed alone
+    // (without ?type=) still reproduces the same wound
+    const seededType = WOUND_TYPE_IDS[Math.floor(rand() * WOUND_TYPE_IDS.length)];
+    sim.seed = String(seed);
+    sim.woundType = WOUND_TYPES[type] ? type : seededType;
+    // Deposition jitter gets its own stream: same seed + same inputs = same run
+    sim.rand = createRng(sim.seed + ':spray');
+
+    // Retry with the same stream until the shape has enough wound cells —
+    // deterministic, so the seed still maps to exactly one mask
+    do {
+        const typeFn = WOUND_TYPES[sim.woundType](rand);
+        sim.mask.fill(0);
+        sim.woundCellCount = 0;
+        for (let y = 0; y < W_GRID; y++) {
+            for (let x = 0; x < W_GRID; x++) {
+                if (inWoundCircle(x, y) && typeFn(x, y)) {
+                    sim.mask[y * W_GRID + x] = 1;
+                    sim.woundCellCount++;
+                }
+            }
+        }
+    } while (sim.woundCellCount < MIN_WOUND_CELLS); // ensure at least some wound cells
+
+    buildProximity(sim);
+    resetSim(sim);
+}
+
+// Use a mask drawn or imported elsewhere (W_GRID² values, nonzero = wound)
+// instead of a procedural shape. The seed still drives deposition jitter.
+// Throws before touching sim if too little of the mask is inside the circle.
+export function setWoundMask(sim, seed, mask, type = 'image') {
+    let count = 0;
+    for (let i = 0; i < W_GRID * W_GRID; i++) {
+        if (mask[i] && inWoundCircle(i % W_GRID, Math.floor(i / W_GRID))) count++;
+    }
+    if (count < MIN_WOUND_CELLS) {
+        throw userError('error.woundTooSmall', `Wound is too small (${count} cells, need ${MIN_WOUND_CELLS})`,
+            { count, min: MIN_WOUND_CELLS });
+    }
+    sim.seed = String(seed);
+    sim.woundType = type;
+    sim.rand = createRng(sim.seed + ':spray');
+    for (let i = 0; i < W_GRID * W_GRID; i++) {
+        sim.mask[i] = mask[i] && inWoundCircle(i % W_GRID, Math.floor(i / W_GRID)) ? 1 : 0;
+    }
+    sim.woundCellCount = count;
+    buildProximity(sim);
+    resetSim(sim);
+}
+
+// sim.proximity: Chebyshev distance (cells) from every cell to the nearest
+// wound cell, in one forward and one backward sweep. Built once per wound,
+// so deposition can tell skin near the wound from skin far off in O(1).
+function buildProximity(sim) {
+    const { mask, proximity } = sim;
+    for (let i = 0; i < W_GRID * W_GRID; i++) proximity[i] = mask[i] ? 0 : 255;
+    const sweep = (y, x, dy) => {
+        let d = proximity[y * W_GRID + x];
+        if (d === 0) return;
+        // The row behind (dy) and the cell just before in this row
+        for (let ex = -1; ex <= 1; ex++) {
+            const nx = x + ex, ny = y - dy;
+            if (nx < 0 || nx >= W_GRID || ny < 0 || ny >= W_GRID) continue;
+            d = Math.min(d, proximity[ny * W_GRID + nx] + 1);
+        }
+        const px = x - dy;
+        if (px >= 0 && px < W_GRID) d = Math.min(d, proximity[y * W_GRID + px] + 1);
+        proximity[y * W_GRID + x] = Math.min(255, d);
+    };
+    for (let y = 0; y < W_GRID; y++) {
+        for (let x = 0; x < W_GRID; x++) sweep(y, x, 1);
+    }
+    for (let y = W_GRID - 1; y >= 0; y--) {
+        for (let x = W_GRID - 1; x >= 0; x--) sweep(y, x, -1);
+    }
+}
+
+// Editor brush: set (value 1) or clear (value 0) every cell within radius
+// of grid coords (gx, gy), clipped to the wound circle. The shape becomes a
+// 'custom' wound. Deposition and sim.proximity are not updated — the editor
+// hands the finished mask to setWoundMask() on play.
+// Returns true if any cell changed.
+export function paintMask(sim, gx, gy, radius, value) {
+    const r = Math.ceil(radius);
+    let changed = false;
+    for (let dy = -r; dy <= r; dy++) {
+        for (let dx = -r; dx <= r; dx++) {
+            if (dx * dx + dy * dy > radius * radius) continue;
+            const x = Math.round(gx + dx), y = Math.round(gy + dy);
+            if (x < 0 || x >= W_GRID || y < 0 || y >= W_GRID || !inWoundCircle(x, y)) continue;
+            const idx = y * W_GRID + x;
+            if (sim.mask[idx] === value) continue;
+            sim.mask[idx] = value;
+            sim.woundCellCount += value ? 1 : -1;
+            changed = true;
+        }
+    }
+    if (changed) sim.woundType = 'custom';
+    return changed;
+}
+
+export function clearWoundMask(sim) {
+    sim.mask.fill(0);
+    sim.woundCellCount = 0;
+    sim.woundType = 'custom';
+}
+
+// Keep wound within visible circle (canvas/texture is circular)
+export function inWoundCircle(x, y) {
+    const dx = x - W_GRID / 2, dy = y - W_GRID / 2;
+    return dx * dx + dy * dy < (W_GRID * 0.44) * (W_GRID * 0.44);
+}
+
+// Compact text form of a mask for JSON files: alternating run lengths of
+// 0s and 1s (starting with 0s), base 36, separated by dots
+export function encodeMask(mask) {
+    const runs = [];
+    let current = 0, n = 0;
+    for (let i = 0; i < mask.length; i++) {
+        const v = mask[i] ? 1 : 0;
+        if (v !== current) {
+            runs.push(n);
+            current = v;
+            n = 0;
+        }
+        n++;
+    }
+    runs.push(n);
+    return runs.map(r => r.toString(36)).join('.');
+}
+
+const MAX_MASK_CELLS = 1024 * 1024;   // largest saved grid decodeMask() accepts
+
+// Masks saved at another grid size are resampled to W_GRID².
+// Throws an Error if the string does not describe a square mask.
+export function decodeMask(str) {
+    const runs = String(str).split('.').map(part => parseInt(part, 36));
+    if (!runs.every(n => n >= 0)) throw userError('error.maskCorrupt', 'Wound mask data is corrupt');
+    const total = runs.reduce((a, n) => a + n, 0);
+    if (total > MAX_MASK_CELLS) throw userError('error.maskCorrupt', 'Wound mask data is corrupt');
+    const size = Math.round(Math.sqrt(total));
+    if (size === 0 || size * size !== total) throw userError('error.maskNotSquare', 'Wound mask is not square');
+    const saved = new Uint8Array(total);
+    let i = 0, v = 0;
+    for (const n of runs) {
+        saved.fill(v, i, i + n);
+        i += n;
+        v ^= 1;
+    }
+    if (size === W_GRID) return saved;
+    const mask = new Uint8Array(W_GRID * W_GRID);
+    for (let y = 0; y < W_GRID; y++) {
+        const sy = Math.floor((y + 0.5) * size / W_GRID);
+        for (let x = 0; x < W_GRID; x++) {
+            mask[y * W_GRID + x] = saved[sy * size + Math.floor((x + 0.5) * size / W_GRID)];
+        }
+    }
+    return mask;
+}
+
+// Clear deposition but keep the wound and parameters
+export function resetSim(sim) {
+    sim.thicknessGrid.fill(0);
+    sim.defectGrid.fill(0);
+    sim.coverageGrid.fill(0);
+    sim.drugGrid.fill(0);
+    sim.coverage = 0;
+    sim.meanThickness = 0;
+    sim.underPct = 100;
+    sim.overPct = 0;
+    sim.totals = { coverage: 0, thickness: 0, under: sim.woundCellCount, over: 0, drug: 0 };
+    sim.waste = { dispensed: 0, wound: 0, skin: 0, offTarget: 0 };
+    sim.fiberDiameterSum = 0;
+    sim.time = 0;
+    sim.complete = false;
+    sim.hitCount = 0;
+}
+
+export function isWoundCell(sim, gx, gy) {
+    if (gx < 0 || gx >= W_GRID || gy < 0 || gy >= W_GRID) return false;
+    return sim.mask[gy * W_GRID + gx] === 1;
+}
+
+// ── World ↔ Grid coordinate helpers ─────────────────────────────────
+export function worldToGrid(wx, wz) {
+    return {
+        gx: (wx + WOUND_WORLD) / (WOUND_WORLD * 2) * W_GRID,
+        gy: (wz + WOUND_WORLD) / (WOUND_WORLD * 2) * W_GRID,
+    };
+}
+
+// ─── Deposition ──────────────────────────────────────────────────────
+// Settings as the jet meets the skin at surface point (u, v): the nozzle
+// hovers at a set height, so where the skin curves away below it the
+// flight is longer (world units ≈ cm) and the field at the skin weaker
+export function sprayParams(sim, u, v) {
+    if (sim.surface === 'flat') return sim.params;
+    return { ...sim.params, distance: sim.params.distance + surfaceDrop(sim.surface, u, v) };
+}
+
+// Spray at aim point with Gaussian falloff (world-space radius).
+// dt = delta time for frame-rate independence. Wound cells accumulate
+// thickness without a cap, so over-spraying shows up as overPct; the
+// defective share (drops, beads) counts toward thickness but not coverage.
+// A multi-jet regime splits the deposit across randomly offset sub-jets.
+// Every touched cell is added to sim.hits (see HIT_STRIDE) so a renderer
+// can draw fibers for it; returns true when anything was hit.
+// The solution dispensed this step (flowRate × dt) is split between wound,
+// skin and off-grid by the Gaussian weight that lands on each, into sim.waste.
+export function sprayAtAim(sim, worldX, worldZ, dt) {
+    const phys = calcSprayPhysics(sprayParams(sim, worldX, worldZ));
+    const { gx, gy } = worldToGrid(worldX, worldZ);
+    const sprayGrid = phys.sprayRadius / CELL_SIZE;
+    // flowRate is mL/h → µL dispensed this step
+    const dispensed = sim.params.flowRate * dt / 3.6;
+    const drugDose = dispensed * drugPerMicroliter(sim.params);
+    const woundBefore = sim.waste.wound;
+    let changed = false;
+
+    for (let j = 0; j < phys.jets; j++) {
+        let cx = gx, cy = gy, gridRadius = sprayGrid;
+        if (phys.jets > 1) {
+            const angle = sim.rand() * Math.PI * 2;
+            const offset = sprayGrid * (0.3 + sim.rand() * 0.4);
+            cx += Math.cos(angle) * offset;
+            cy += Math.sin(angle) * offset;
+            gridRadius = sprayGrid * 0.55;
+        }
+        const share = 1 / phys.jets;
+        if (depositJet(sim, cx, cy, gridRadius, gridRadius * phys.gaussianSigma,
+            phys.depositionRate * dt * share, phys.quality, dispensed * share, drugDose * share)) changed = true;
+    }
+
+    sim.fiberDiameterSum += phys.fiberDiameter * (sim.waste.wound - woundBefore);
+    if (changed) applyTotals(sim);
+    return changed;
+}
+
+// Append one touched cell to sim.hits, doubling the buffer when it is full
+function addHit(sim, gx, gy, value, falloff) {
+    let h = sim.hitCount * HIT_STRIDE;
+    if (h === sim.hits.length) {
+        const grown = new Float32Array(sim.hits.length * 2);
+        grown.set(sim.hits);
+        sim.hits = grown;
+    }
+    const hits = sim.hits;
+    hits[h++] = gx;
+    hits[h++] = gy;
+    hits[h++] = value;
+    hits[h] = falloff;
+    sim.hitCount++;
+}
+
+// One Gaussian footprint centred on grid coords (cx, cy).
+// drug: µg of loaded drug in this jet's share of the solution
+function depositJet(sim, cx, cy, gridRadius, sigma, rate, quality, dispensed, drug) {
+    const { mask, proximity, thicknessGrid, defectGrid, coverageGrid, drugGrid, totals } = sim;
+    const firstHit = sim.hitCount;
+    let changed = false;
+    let wTotal = 0, wWound = 0, wSkin = 0;
+
+    const land = (nx, ny, falloff) => {
+        wTotal += falloff;
+        if (nx < 0 || nx >= W_GRID || ny < 0 || ny >= W_GRID) return;
+
+        const idx = ny * W_GRID + nx;
+
+        if (mask[idx]) {
+            wWound += falloff;
+            // Wound cell: build thickness, coverage follows from the usable part
+            const add = rate * falloff * (0.8 + sim.rand() * 0.4);
+            const before = thicknessGrid[idx], coveredBefore = coverageGrid[idx];
+            thicknessGrid[idx] += add;
+            defectGrid[idx] += add * (1 - quality);
+            coverageGrid[idx] = Math.min(1.0, (thicknessGrid[idx] - defectGrid[idx]) / THICKNESS_BAND.min);
+            // Move this cell's share of the running totals (thickness only grows)
+            const after = thicknessGrid[idx];
+            totals.coverage += coverageGrid[idx] - coveredBefore;
+            totals.thickness += after - before;
+            if (before < THICKNESS_BAND.min && after >= THICKNESS_BAND.min) totals.under--;
+            if (before <= THICKNESS_BAND.max && after > THICKNESS_BAND.max) totals.over++;
+            addHit(sim, nx, ny, coverageGrid[idx], falloff);
+            changed = true;
+        } else {
+            // Skin cell: counts as waste; near the wound it also shows fiber overflow
+            wSkin += falloff;
+            if (proximity[idx] > NEAR_WOUND) return;
+            addHit(sim, nx, ny, -1, falloff);
+            changed = true;
+        }
+    };
+
+    if (sim.surface === 'flat') {
+        const r = Math.ceil(gridRadius);
+        const sigma2 = sigma * sigma;
+        for (let dx = -r; dx <= r; dx++) {
+            for (let dy = -r; dy <= r; dy++) {
+                const dist2 = dx * dx + dy * dy;
+                if (dist2 > gridRadius * gridRadius) continue;
+                land(Math.round(cx + dx), Math.round(cy + dy), Math.exp(-dist2 / (2 * sigma2)));
+            }
+        }
+    } else {
+        curvedFootprint(SURFACES[sim.surface], cx, cy, gridRadius, sigma, land);
+    }
+
+    // Drug follows the solution: each wound cell gets its share of the footprint,
+    // beads and drops included (the drug is in them too)
+    if (drug > 0) {
+        const hits = sim.hits;
+        for (let h = firstHit * HIT_STRIDE; h < sim.hitCount * HIT_STRIDE; h += HIT_STRIDE) {
+            if (hits[h + 2] < 0) continue;
+            const dose = drug * hits[h + 3] / wTotal;
+            drugGrid[hits[h + 1] * W_GRID + hits[h]] += dose;
+            totals.drug += dose;
+        }
+    }
+
+    const waste = sim.waste;
+    waste.dispensed += dispensed;
+    waste.wound += dispensed * (wWound / wTotal);
+    waste.skin += dispensed * (wSkin / wTotal);
+    waste.offTarget += dispensed * Math.max(0, (wTotal - wWound - wSkin) / wTotal);
+    return changed;
+}
+
+// The jet falls straight down onto a bent surface: each cell is weighed by
+// its horizontal distance from the jet axis, and by the share of the cone
+// it catches — skin sloping away catches less, so its mat builds thinner.
+// The footprint stretches out over the skin where it curves away.
+function curvedFootprint({ rx, rz }, cx, cy, gridRadius, sigma, land) {
+    const toSurface = g => g * CELL_SIZE - WOUND_WORLD;
+    const toGrid = u => (u + WOUND_WORLD) / CELL_SIZE;
+    const reach = gridRadius * CELL_SIZE;
+    const sigma2 = sigma * sigma;
+    // [grid index, grid cells from the jet axis, projected share] per column / row
+    const axis = (c, r) => {
+        const [centre] = bendAxis(toSurface(c), r);
+        const cells = [];
+        const lo = Math.ceil(toGrid(unbendAxis(centre - reach, r)));
+        const hi = Math.floor(toGrid(unbendAxis(centre + reach, r)));
+        for (let n = lo; n <= hi; n++) {
+            const [offset, , slope] = bendAxis(toSurface(n), r);
+            cells.push([n, (offset - centre) / CELL_SIZE, 1 / Math.hypot(1, slope)]);
+        }
+        return cells;
+    };
+    const rows = axis(cy, rz);
+    for (const [nx, hx, shareX] of axis(cx, rx)) {
+        for (const [ny, hz, shareZ] of rows) {
+            const dist2 = hx * hx + hz * hz;
+            if (dist2 > gridRadius * gridRadius) continue;
+            land(nx, ny, Math.exp(-dist2 / (2 * sigma2)) * shareX * shareZ);
+        }
+    }
+}
+
+// % of dispensed polymer that landed on wound cells
+export function depositionEfficiency(sim) {
+    return sim.waste.dispensed > 0 ? (sim.waste.wound / sim.waste.dispensed) * 100 : 0;
+}
+
+// µg of drug per µL of solution: polymer concentration (% w/v = 10 µg/µL)
+// times the loading (% w/w of polymer). 0 when no drug is loaded.
+export function drugPerMicroliter(params) {
+    if (!params.drug || params.drug === 'none') return 0;
+    return POLYMERS[params.polymer].concentration * 10 * params.drugLoading / 100;
+}
+
+// Total µg of drug on wound cells
+export function woundDrugMass(sim) {
+    return sim.totals.drug;
+}
+
+// Mean diameter (nm) of the fibers in the dressing, weighted by the volume
+// each setting put on the wound — 0 before anything has landed
+export function meanFiberDiameter(sim) {
+    return sim.waste.wound > 0 ? sim.fiberDiameterSum / sim.waste.wound : 0;
+}
+
+// 0–1 evenness of the scaffold: 1 − coefficient of variation of thickness
+// over wound cells (1 = perfectly even mat, 0 = as varied as it is thick)
+export function coverageUniformity(sim) {
+    let sum = 0, sumSq = 0;
+    for (let i = 0; i < W_GRID * W_GRID; i++) {
+        if (!sim.mask[i]) continue;
+        const t = sim.thicknessGrid[i];
+        sum += t;
+        sumSq += t * t;
+    }
+    const n = sim.woundCellCount;
+    if (n === 0 || sum === 0) return 0;
+    const mean = sum / n;
+    const sd = Math.sqrt(Math.max(0, sumSq / n - mean * mean));
+    return Math.max(0, 1 - sd / mean);
+}
+
+// Rebuild sim.totals from every wound cell. Spraying keeps them current
+// on its own; this is for grids changed from outside.
+export function recalcCoverage(sim) {
+    const totals = { coverage: 0, thickness: 0, under: 0, over: 0, drug: 0 };
+    for (let i = 0; i < W_GRID * W_GRID; i++) {
+        if (!sim.mask[i]) continue;
+        totals.coverage += sim.coverageGrid[i]; // each cell is 0.0–1.0
+        totals.drug += sim.drugGrid[i];
+        const t = sim.thicknessGrid[i];
+        totals.thickness += t;
+        if (t < THICKNESS_BAND.min) totals.under++;
+        else if (t > THICKNESS_BAND.max) totals.over++;
+    }
+    sim.totals = totals;
+    applyTotals(sim);
+}
+
+// Coverage stats from the running totals
+function applyTotals(sim) {
+    const n = sim.woundCellCount;
+    if (n === 0) { sim.coverage = 0; return; }
+    // Pure average: directly reflects what the user sees
+    sim.coverage = (sim.totals.coverage / n) * 100;
+    sim.meanThickness = sim.totals.thickness / n;
+    sim.underPct = (sim.totals.under / n) * 100;
+    sim.overPct = (sim.totals.over / n) * 100;
+}
+
+// ─── Step API ────────────────────────────────────────────────────────
+// Advance the simulation by dt seconds. input: { aimX, aimZ, spraying }
+// in world coords. Returns a view of sim.hits over the cells deposited on
+// this step (valid until the next step).
+export function stepSim(sim, dt, input) {
+    sim.hitCount = 0;
+    if (sim.complete) return sim.hits.subarray(0, 0);
+    sim.time += dt;
+    sim.regime = classifyRegime(sprayParams(sim, input.aimX, input.aimZ)).id;
+    if (input.spraying) sprayAtAim(sim, input.aimX, input.aimZ, dt);
+    if (sim.coverage >= WIN_COVERAGE) sim.complete = true;
+    return sim.hits.subarray(0, sim.hitCount * HIT_STRIDE);
+}
+
+// ─── Worker Copy ─────────────────────────────────────────────────────
+// Deposition can run on a copy of the sim in texture-worker.js while the
+// page keeps its own for the HUD, overlays and scoring. The copy is built
+// from simState(); after every step, stepDelta() is what the step changed
+// and applyStepDelta() writes it into the page's sim.
+const STEP_FIELDS = [
+    'time', 'complete', 'regime', 'coverage', 'meanThickness', 'underPct', 'overPct', 'fiberDiameterSum',
+];
+
+// Everything but the hit buffer and the random stream — plain enough to post
+export function simState(sim) {
+    const { hits, hitCount, rand, ...state } = sim;
+    return state;
+}
+
+// A sim from simState(); deposition jitter starts over from the seed
+export function simFromState(state) {
+    return {
+        ...state,
+        hits: new Float32Array(1024 * HIT_STRIDE),
+        hitCount: 0,
+        rand: createRng(state.seed + ':spray'),
+    };
+}
+
+// The wound cells of the last step with their thickness, defect, coverage
+// and drug (4 values each), and the running totals after it
+export function stepDelta(sim) {
+    const { hits, hitCount, thicknessGrid, defectGrid, coverageGrid, drugGrid } = sim;
+    const cells = new Int32Array(hitCount);
+    let n = 0;
+    for (let h = 0; h < hitCount * HIT_STRIDE; h += HIT_STRIDE) {
+        if (hits[h + 2] >= 0) cells[n++] = hits[h + 1] * W_GRID + hits[h];
+    }
+    const values = new Float32Array(n * 4);
+    for (let k = 0; k < n; k++) {
+        const i = cells[k];
+        values[k * 4] = thicknessGrid[i];
+        values[k * 4 + 1] = defectGrid[i];
+        values[k * 4 + 2] = coverageGrid[i];
+        values[k * 4 + 3] = drugGrid[i];
+    }
+    const delta = { cells: cells.slice(0, n), values, totals: { ...sim.totals }, waste: { ...sim.waste } };
+    for (const key of STEP_FIELDS) delta[key] = sim[key];
+    return delta;
+}
+
+export function applyStepDelta(sim, delta) {
+    const { cells, values } = delta;
+    for (let k = 0; k < cells.length; k++) {
+        const i = cells[k];
+        sim.thicknessGrid[i] = values[k * 4];
+        sim.defectGrid[i] = values[k * 4 + 1];
+        sim.coverageGrid[i] = values[k * 4 + 2];
+        sim.drugGrid[i] = values[k * 4 + 3];
+    }
+    sim.totals = delta.totals;
+    sim.waste = delta.waste;
+    for (const key of STEP_FIELDS) sim[key] = delta[key];
+}
@@ -0,0 +1,64 @@
+/* ===================================================================
+   SpinCare — Treatment Surfaces
+   Body-part shapes the wound lies on · Skin ↔ world mapping
+   Pure module: no Three.js, no DOM
+   =================================================================== */
+
+// The wound grid, the aim point and the skin texture all use surface
+// coordinates (u, v): distance measured along the skin in world units
+// (≈ cm), so a wound keeps its size whatever it is wrapped around. A
+// surface bends the flat pad around up to two axes — rx is the radius of
+// the bend along u, rz along v (Infinity = straight). The apex (0, 0)
+// stays at the reference height; everywhere else the skin falls away.
+export const SURFACES = {
+    flat: { label: 'Flat pad', rx: Infinity, rz: Infinity },
+    forearm: { label: 'Forearm', rx: Infinity, rz: 3.5 },
+    heel: { label: 'Heel', rx: 3.5, rz: 3 },
+    shoulder: { label: 'Shoulder', rx: 8, rz: 5 },
+};
+
+const MAX_BEND = 1.45;   // rad — past this the skin runs on straight instead of folding under
+
+// One axis: arc length s around radius r → [offset across, drop below the
+// apex, slope]. Beyond MAX_BEND the surface continues along its tangent.
+export function bendAxis(s, r) {
+    if (r === Infinity) return [s, 0, 0];
+    const a = s / r;
+    if (Math.abs(a) <= MAX_BEND) return [r * Math.sin(a), r * (1 - Math.cos(a)), Math.tan(a)];
+    const sign = Math.sign(a);
+    const rest = Math.abs(s) - r * MAX_BEND;
+    return [
+        sign * (r * Math.sin(MAX_BEND) + rest * Math.cos(MAX_BEND)),
+        r * (1 - Math.cos(MAX_BEND)) + rest * Math.sin(MAX_BEND),
+        sign * Math.tan(MAX_BEND),
+    ];
+}
+
+// Inverse of bendAxis: offset across → arc length
+export function unbendAxis(x, r) {
+    if (r === Infinity) return x;
+    const edge = r * Math.sin(MAX_BEND);
+    if (Math.abs(x) <= edge) return r * Math.asin(x / r);
+    return Math.sign(x) * (r * MAX_BEND + (Math.abs(x) - edge) / Math.cos(MAX_BEND));
+}
+
+// Surface coords → { x, y, z } relative to the apex (y ≤ 0) and the
+// outward unit normal { nx, ny, nz }
+export function surfacePoint(id, u, v) {
+    const { rx, rz } = SURFACES[id];
+    const [x, dropX, slopeX] = bendAxis(u, rx);
+    const [z, dropZ, slopeZ] = bendAxis(v, rz);
+    const n = Math.hypot(slopeX, 1, slopeZ);
+    return { x, y: -(dropX + dropZ), z, nx: slopeX / n, ny: 1 / n, nz: slopeZ / n };
+}
+
+// World x, z (seen from above) → the surface coords { u, v } under it
+export function surfaceUV(id, x, z) {
+    const { rx, rz } = SURFACES[id];
+    return { u: unbendAxis(x, rx), v: unbendAxis(z, rz) };
+}
+
+// How far (world units ≈ cm) the skin at (u, v) lies below the apex
+export function surfaceDrop(id, u, v) {
+    return -surfacePoint(id, u, v).y;
+}
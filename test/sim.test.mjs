@@ -0,0 +1,96 @@
+/* ===================================================================
+   SpinCare — Simulation Core Tests
+   Seeded determinism and running totals of sim.js
+   Run with: node test/sim.test.mjs
+   =================================================================== */
+
+import assert from 'node:assert/strict';
+import { createSim, generateWound, stepSim, recalcCoverage, WOUND_WORLD } from '../sim.js';
+
+const GRIDS = ['mask', 'thicknessGrid', 'defectGrid', 'coverageGrid', 'drugGrid'];
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log('ok   ' + name);
+    } catch (err) {
+        process.exitCode = 1;
+        console.log('FAIL ' + name);
+        console.log(err);
+    }
+}
+
+// A fixed zig-zag pass over the wound, spraying most of the way
+function spray(sim, steps = 600) {
+    const dt = 1 / 60;
+    for (let k = 0; k < steps; k++) {
+        const row = Math.floor(k / 60);
+        const along = (k % 60) / 59 * 2 - 1;
+        stepSim(sim, dt, {
+            aimX: (row % 2 ? -along : along) * WOUND_WORLD * 0.8,
+            aimZ: (row / 9 * 2 - 1) * WOUND_WORLD * 0.8,
+            spraying: k % 50 < 45,
+        });
+    }
+}
+
+function assertSameSim(a, b) {
+    for (const grid of GRIDS) assert.deepEqual(a[grid], b[grid], grid);
+    assert.deepEqual(a.totals, b.totals);
+    assert.deepEqual(a.waste, b.waste);
+    assert.equal(a.coverage, b.coverage);
+    assert.equal(a.time, b.time);
+}
+
+// ─── Wounds ──────────────────────────────────────────────────────────
+
+test('a seed maps to one wound', () => {
+    for (const seed of ['alpha', 'beta', '12345']) {
+        const a = createSim({ seed });
+        const b = createSim({ seed });
+        assert.equal(a.woundType, b.woundType);
+        assert.equal(a.woundCellCount, b.woundCellCount);
+        assert.deepEqual(a.mask, b.mask);
+        assert.ok(a.woundCellCount > 0);
+    }
+});
+
+test('generateWound repeats createSim', () => {
+    const a = createSim({ seed: 'gamma', type: 'star' });
+    const b = createSim({ seed: 'other' });
+    generateWound(b, 'gamma', 'star');
+    assert.equal(b.woundType, 'star');
+    assert.deepEqual(a.mask, b.mask);
+});
+
+test('different seeds give different wounds', () => {
+    assert.notDeepEqual(createSim({ seed: 'alpha' }).mask, createSim({ seed: 'beta' }).mask);
+});
+
+// ─── Deposition ──────────────────────────────────────────────────────
+
+test('stepSim with the same inputs gives the same run', () => {
+    const a = createSim({ seed: 'delta' });
+    const b = createSim({ seed: 'delta' });
+    spray(a);
+    spray(b);
+    assert.ok(a.coverage > 0);
+    assertSameSim(a, b);
+});
+
+test('running totals match a full recalcCoverage', () => {
+    const sim = createSim({ seed: 'epsilon' });
+    sim.params.drug = 'antibiotic';
+    spray(sim);
+    assert.ok(sim.totals.drug > 0);
+    const running = { ...sim.totals };
+    const stats = { coverage: sim.coverage, meanThickness: sim.meanThickness, underPct: sim.underPct, overPct: sim.overPct };
+    recalcCoverage(sim);
+    for (const key of ['under', 'over']) assert.equal(running[key], sim.totals[key], key);
+    for (const key of ['coverage', 'thickness', 'drug']) {
+        assert.ok(Math.abs(running[key] - sim.totals[key]) <= 1e-6 * Math.max(1, sim.totals[key]), key);
+    }
+    for (const key of Object.keys(stats)) {
+        assert.ok(Math.abs(stats[key] - sim[key]) <= 1e-6 * Math.max(1, sim[key]), key);
+    }
+});
@@ -0,0 +1,70 @@
+/* ===================================================================
+   SpinCare — Texture Worker
+   Runs deposition and paints the wound texture off the main thread
+   Steps its own copy of the sim ('sim' / 'step' commands), paints what
+   lands plus any paintTexture() command (see wound-texture.js) on an
+   OffscreenCanvas, and posts back every step's stepDelta() and an
+   ImageBitmap of the canvas — straight after a full redraw, otherwise
+   at most every POST_INTERVAL ms while painting goes on.
+   =================================================================== */
+
+import { TEXTURE_SIZE, paintTexture } from './wound-texture.js';
+import { simFromState, stepSim, stepDelta } from './sim.js';
+
+const POST_INTERVAL = 66;   // ms — about 15 texture uploads a second
+
+const canvas = new OffscreenCanvas(TEXTURE_SIZE, TEXTURE_SIZE);
+const ctx = canvas.getContext('2d');
+let queue = [];
+let lastPost = 0;
+let postTimer = 0;
+let sim = null;
+let run = 0;     // tags step results, so the page can drop those of an older sim
+
+// Commands on top of paintTexture()'s:
+//   { type: 'sim', run, state }          start over from simState()
+//   { type: 'step', dt, input, params }  stepSim() with the page's params
+self.onmessage = e => {
+    queue.push(e.data);
+    if (queue.length === 1) setTimeout(drain, 0);
+};
+
+// Commands are painted in batches. A full redraw makes the painting queued
+// before it moot, so a burst of editor redraws costs a single one; steps
+// before it still run.
+function drain() {
+    const batch = queue;
+    queue = [];
+    const redraw = batch.findLastIndex(cmd => cmd.type === 'wound');
+    batch.forEach((cmd, k) => {
+        if (cmd.type === 'sim') {
+            sim = simFromState(cmd.state);
+            run = cmd.run;
+        } else if (cmd.type === 'step') {
+            step(cmd, k >= redraw);
+        } else if (k >= redraw) {
+            paintTexture(ctx, cmd);
+        }
+    });
+    if (redraw >= 0) post();
+    else if (!postTimer) postTimer = setTimeout(post, Math.max(0, lastPost + POST_INTERVAL - performance.now()));
+}
+
+function step(cmd, paint) {
+    if (!sim) return;
+    sim.params = cmd.params;
+    const hits = stepSim(sim, cmd.dt, cmd.input);
+    if (paint && hits.length) {
+        paintTexture(ctx, { type: 'deposits', hits, polymer: sim.params.polymer, regime: sim.regime });
+    }
+    const delta = stepDelta(sim);
+    self.postMessage({ type: 'step', run, delta }, [delta.cells.buffer, delta.values.buffer]);
+}
+
+function post() {
+    clearTimeout(postTimer);
+    postTimer = 0;
+    lastPost = performance.now();
+    // The copy is taken now; later commands do not leak into it
+    createImageBitmap(canvas).then(bitmap => self.postMessage({ type: 'bitmap', bitmap }, [bitmap]));
+}
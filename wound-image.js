@@ -0,0 +1,83 @@
+/* ===================================================================
+   SpinCare — Wound Image Import
+   PNG / JPEG → W_GRID×W_GRID wound mask (threshold or colour pick)
+   Needs a DOM (canvas, Image); the resulting mask goes to setWoundMask()
+   =================================================================== */
+
+import { W_GRID, userError } from './sim.js';
+
+// Share of the square the image is fitted into — matches the wound circle
+const FIT = 0.88;
+
+export function loadImageFile(file) {
+    return new Promise((resolve, reject) => {
+        if (!/^image\/(png|jpeg)$/.test(file.type)) {
+            reject(userError('error.imageType', 'Please choose a PNG or JPEG image'));
+            return;
+        }
+        const url = URL.createObjectURL(file);
+        const img = new Image();
+        img.onload = () => { URL.revokeObjectURL(url); resolve(img); };
+        img.onerror = () => { URL.revokeObjectURL(url); reject(userError('error.imageRead', 'Could not read that image')); };
+        img.src = url;
+    });
+}
+
+// Where the image sits inside a size×size square: centred, aspect kept,
+// scaled to fit inside the wound circle's bounding box
+export function fitRect(img, size) {
+    const box = size * FIT;
+    const scale = Math.min(box / img.width, box / img.height);
+    const w = img.width * scale, h = img.height * scale;
+    return { x: (size - w) / 2, y: (size - h) / 2, w, h };
+}
+
+// Downsample the image onto the wound grid. Padding stays transparent.
+export function sampleImage(img) {
+    const canvas = document.createElement('canvas');
+    canvas.width = canvas.height = W_GRID;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    const r = fitRect(img, W_GRID);
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(img, r.x, r.y, r.w, r.h);
+    return ctx.getImageData(0, 0, W_GRID, W_GRID);
+}
+
+// pixels: ImageData from sampleImage(). opts:
+//   mode: 'mask'  — luminance above threshold (0–255) is wound; invert flips it
+//   mode: 'photo' — RGB within tolerance (0–441) of color [r, g, b] is wound
+// Photo masks are smoothed with a 3×3 majority vote to drop speckle.
+export function rasterizeWound(pixels, opts) {
+    const d = pixels.data;
+    const mask = new Uint8Array(W_GRID * W_GRID);
+    for (let i = 0; i < mask.length; i++) {
+        const p = i * 4;
+        if (d[p + 3] < 128) continue;  // padding / transparent
+        if (opts.mode === 'photo') {
+            const [r, g, b] = opts.color;
+            const dist = Math.hypot(d[p] - r, d[p + 1] - g, d[p + 2] - b);
+            mask[i] = dist <= opts.tolerance ? 1 : 0;
+        } else {
+            const lum = 0.299 * d[p] + 0.587 * d[p + 1] + 0.114 * d[p + 2];
+            mask[i] = (lum > opts.threshold) !== !!opts.invert ? 1 : 0;
+        }
+    }
+    return opts.mode === 'photo' ? majorityFilter(mask) : mask;
+}
+
+function majorityFilter(mask) {
+    const out = new Uint8Array(mask.length);
+    for (let y = 0; y < W_GRID; y++) {
+        for (let x = 0; x < W_GRID; x++) {
+            let n = 0;
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    const nx = x + dx, ny = y + dy;
+                    if (nx >= 0 && nx < W_GRID && ny >= 0 && ny < W_GRID) n += mask[ny * W_GRID + nx];
+                }
+            }
+            out[y * W_GRID + x] = n >= 5 ? 1 : 0;
+        }
+    }
+    return out;
+}
@@ -0,0 +1,89 @@
+/* ===================================================================
+   SpinCare — Wound Presets
+   Named wound masks kept in localStorage and shared as JSON files
+   =================================================================== */
+
+import { encodeMask, decodeMask, userError } from './sim.js';
+
+const STORAGE_KEY = 'spincare.woundPresets';
+const PRESET_FILE_KIND = 'spincare-wound-presets';
+const PRESET_FILE_VERSION = 1;
+
+// ─── Local Storage ───────────────────────────────────────────────────
+// Stored as [{ name, mask, savedAt }] with mask in encodeMask() form.
+// A missing or unreadable store is treated as empty.
+export function loadPresets() {
+    try {
+        const list = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        return Array.isArray(list) ? list.filter(p => p && typeof p.name === 'string') : [];
+    } catch {
+        return [];
+    }
+}
+
+function storePresets(list) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(list));
+}
+
+// Saving under an existing name replaces that preset
+export function savePreset(name, mask) {
+    const list = loadPresets().filter(p => p.name !== name);
+    list.push({ name, mask: encodeMask(mask), savedAt: new Date().toISOString() });
+    list.sort((a, b) => a.name.localeCompare(b.name));
+    storePresets(list);
+    return list;
+}
+
+export function deletePreset(name) {
+    const list = loadPresets().filter(p => p.name !== name);
+    storePresets(list);
+    return list;
+}
+
+export function findPreset(name) {
+    return loadPresets().find(p => p.name === name) || null;
+}
+
+// Throws if the stored mask data is corrupt
+export function presetMask(preset) {
+    return decodeMask(preset.mask);
+}
+
+// ─── Files ───────────────────────────────────────────────────────────
+export function serializePresets(list) {
+    return JSON.stringify({
+        kind: PRESET_FILE_KIND,
+        version: PRESET_FILE_VERSION,
+        presets: list.map(({ name, mask }) => ({ name, mask })),
+    }, null, 2);
+}
+
+// Throws a userError() if the file is not a preset file.
+// Merges into local storage (same name = replaced) and returns the new list.
+export function importPresets(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        throw userError('error.presetJson', 'Preset file is not valid JSON');
+    }
+    if (!data || data.kind !== PRESET_FILE_KIND || !Array.isArray(data.presets)) {
+        throw userError('error.presetKind', 'Not a SpinCare wound preset file');
+    }
+    if (data.version !== PRESET_FILE_VERSION) {
+        throw userError('error.presetVersion', `Unsupported preset file version: ${data.version}`,
+            { version: data.version });
+    }
+    const incoming = data.presets.map(p => {
+        if (!p || typeof p.name !== 'string' || !p.name.trim()) {
+            throw userError('error.presetName', 'Preset without a name');
+        }
+        decodeMask(p.mask);  // validate before anything is stored
+        return { name: p.name.trim(), mask: p.mask, savedAt: new Date().toISOString() };
+    });
+    const names = new Set(incoming.map(p => p.name));
+    const list = loadPresets().filter(p => !names.has(p.name)).concat(incoming);
+    list.sort((a, b) => a.name.localeCompare(b.name));
+    storePresets(list);
+    return list;
+}
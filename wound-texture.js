@@ -0,0 +1,343 @@
+/* ===================================================================
+   SpinCare — Wound Texture
+   Skin and wound artwork · Fiber strokes · Healing tissue
+   Paints on any 2D canvas context — an OffscreenCanvas in
+   texture-worker.js, or the page's own canvas where that is missing.
+   No Three.js, no DOM.
+   =================================================================== */
+
+import { W_GRID, WOUND_WORLD, POLYMERS, HIT_STRIDE, createRng } from './sim.js';
+
+export const TEXTURE_SIZE = 1024;   // px, square
+export const SURFACE_RADIUS = 6.5;  // world radius the texture spans (the skin mesh)
+
+// Cell states in a 'healing' command
+export const GRANULATING = 0;
+export const HEALED = 1;
+export const INFECTED = 2;
+
+// One painting command:
+//   { type: 'wound', mask, seed }                   full redraw
+//   { type: 'deposits', hits, polymer, regime }      a copy of stepSim()'s hits
+//   { type: 'fibers', points, polymer, regime }      landed particles, u, v pairs
+//   { type: 'healing', cells, states }               healing time-lapse cells
+export function paintTexture(c, cmd) {
+    if (cmd.type === 'wound') drawWound(c, cmd.mask, cmd.seed);
+    else if (cmd.type === 'healing') paintHealing(c, cmd.cells, cmd.states);
+    else {
+        const pen = { c, poly: POLYMERS[cmd.polymer], regime: cmd.regime };
+        if (cmd.type === 'deposits') paintDeposits(pen, cmd.hits);
+        else for (let k = 0; k < cmd.points.length; k += 2) paintFiber(pen, cmd.points[k], cmd.points[k + 1]);
+    }
+}
+
+// Skin and the wound from scratch. mask: W_GRID² cells (1 = wound)
+function drawWound(c, mask, seed) {
+    const s = TEXTURE_SIZE;
+    // Cosmetic noise is seeded too, so a shared seed looks identical
+    const rand = createRng(seed + ':texture');
+    const cellPx = s / W_GRID;
+    // The canvas maps to SURFACE_RADIUS (6.5), but wound grid covers WOUND_WORLD (3.5)
+    // wound grid occupies the center portion of the canvas
+    const woundFrac = WOUND_WORLD / SURFACE_RADIUS; // ~0.538
+    const woundPixels = s * woundFrac; // pixels that wound area occupies
+    const woundOffset = (s - woundPixels) / 2; // pixel offset to center wound
+
+    // 1. Full surface skin base — radial gradient from center to edge
+    const skinGrad = c.createRadialGradient(s / 2, s / 2, 0, s / 2, s / 2, s / 2);
+    skinGrad.addColorStop(0, '#dbb09a'); // light skin center
+    skinGrad.addColorStop(0.45, '#d4a088'); // mid skin (wound border zone)
+    skinGrad.addColorStop(0.6, '#d4a088'); // skin border
+    skinGrad.addColorStop(0.85, '#ecc9ae'); // outer skin
+    skinGrad.addColorStop(1, '#e0be9e'); // edge
+    c.fillStyle = skinGrad;
+    c.fillRect(0, 0, s, s);
+
+    // 2. Skin pores and texture across entire surface
+    for (let i = 0; i < 2000; i++) {
+        const px = rand() * s;
+        const py = rand() * s;
+        const dx = px - s / 2, dy = py - s / 2;
+        if (dx * dx + dy * dy > (s / 2) * (s / 2)) continue;
+        c.fillStyle = `rgba(160,120,100,${0.02 + rand() * 0.05})`;
+        c.beginPath();
+        c.arc(px, py, 0.5 + rand() * 2, 0, Math.PI * 2);
+        c.fill();
+    }
+
+    // 3. Build distance field from wound mask (for soft edges)
+    const distField = new Float32Array(W_GRID * W_GRID);
+    distField.fill(99);
+    for (let i = 0; i < W_GRID * W_GRID; i++) {
+        if (mask[i]) distField[i] = 0;
+    }
+    for (let pass = 0; pass < 6; pass++) {
+        for (let y = 1; y < W_GRID - 1; y++) {
+            for (let x = 1; x < W_GRID - 1; x++) {
+                const idx = y * W_GRID + x;
+                const neighbors = [
+                    distField[(y - 1) * W_GRID + x], distField[(y + 1) * W_GRID + x],
+                    distField[y * W_GRID + x - 1], distField[y * W_GRID + x + 1]
+                ];
+                distField[idx] = Math.min(distField[idx], Math.min(...neighbors) + 1);
+            }
+        }
+    }
+
+    // Helper: convert wound grid coords to canvas pixel coords
+    const gridToCanvas = (gx, gy) => ({
+        px: woundOffset + (gx + 0.5) * (woundPixels / W_GRID),
+        py: woundOffset + (gy + 0.5) * (woundPixels / W_GRID),
+    });
+    const gridCellPx = woundPixels / W_GRID;
+
+    // 4. Wound colors
+    const woundColorSets = [
+        ['#c06060', '#b55555', '#c47068', '#a85050'],
+        ['#c45555', '#b04050', '#d07060', '#a04848'],
+        ['#b85858', '#a84848', '#c86858', '#9c4545'],
+    ];
+    const woundColors = woundColorSets[Math.floor(rand() * woundColorSets.length)];
+
+    // 5. Pass A: Solid wound base
+    c.fillStyle = woundColors[0];
+    for (let gy = 0; gy < W_GRID; gy++) {
+        for (let gx = 0; gx < W_GRID; gx++) {
+            if (!mask[gy * W_GRID + gx]) continue;
+            const { px, py } = gridToCanvas(gx, gy);
+            c.fillRect(px - gridCellPx / 2 - 0.5, py - gridCellPx / 2 - 0.5, gridCellPx + 1, gridCellPx + 1);
+        }
+    }
+
+    // 6. Pass B: Color variation
+    for (let gy = 0; gy < W_GRID; gy++) {
+        for (let gx = 0; gx < W_GRID; gx++) {
+            if (!mask[gy * W_GRID + gx]) continue;
+            if (rand() > 0.5) continue;
+            const { px, py } = gridToCanvas(gx, gy);
+            const color = woundColors[1 + Math.floor(rand() * (woundColors.length - 1))];
+            const radius = gridCellPx * (0.6 + rand() * 0.5);
+            const g = c.createRadialGradient(px, py, 0, px, py, radius);
+            g.addColorStop(0, color);
+            g.addColorStop(1, 'rgba(0,0,0,0)');
+            c.fillStyle = g;
+            c.beginPath();
+            c.arc(px, py, radius, 0, Math.PI * 2);
+            c.fill();
+        }
+    }
+
+    // 7. Pass C: Soft edge bleed (wound → skin transition)
+    for (let gy = 0; gy < W_GRID; gy++) {
+        for (let gx = 0; gx < W_GRID; gx++) {
+            const dist = distField[gy * W_GRID + gx];
+            if (dist < 1 || dist > 6) continue;
+            const { px, py } = gridToCanvas(gx, gy);
+            const alpha = Math.max(0, 0.5 * (1 - dist / 6.5));
+            if (alpha < 0.02) continue;
+            const color = woundColors[0];
+            const r = parseInt(color.slice(1, 3), 16);
+            const g2 = parseInt(color.slice(3, 5), 16);
+            const b = parseInt(color.slice(5, 7), 16);
+            const radius = gridCellPx * (0.8 + rand() * 0.4);
+            c.fillStyle = `rgba(${r},${g2},${b},${alpha})`;
+            c.beginPath();
+            c.arc(px, py, radius, 0, Math.PI * 2);
+            c.fill();
+        }
+    }
+
+    // 8. Organic texture noise within wound
+    for (let i = 0; i < 5000; i++) {
+        const gx = Math.floor(rand() * W_GRID);
+        const gy = Math.floor(rand() * W_GRID);
+        if (!mask[gy * W_GRID + gx]) continue;
+        const { px, py } = gridToCanvas(gx, gy);
+        const ox = (rand() - 0.5) * gridCellPx;
+        const oy = (rand() - 0.5) * gridCellPx;
+        const br = rand() * 40 - 20;
+        c.fillStyle = `rgba(${185 + br | 0},${95 + br * 0.4 | 0},${90 + br * 0.3 | 0},${0.15 + rand() * 0.25})`;
+        c.beginPath();
+        c.arc(px + ox, py + oy, 0.5 + rand() * 3, 0, Math.PI * 2);
+        c.fill();
+    }
+
+    // 9. Moisture highlights
+    for (let i = 0; i < 300; i++) {
+        const gx = Math.floor(rand() * W_GRID);
+        const gy = Math.floor(rand() * W_GRID);
+        if (!mask[gy * W_GRID + gx]) continue;
+        const { px, py } = gridToCanvas(gx, gy);
+        c.fillStyle = `rgba(255,210,190,${0.03 + rand() * 0.08})`;
+        c.beginPath();
+        c.arc(px, py, 1 + rand() * 5, 0, Math.PI * 2);
+        c.fill();
+    }
+}
+
+// Draw fibers for the cells the simulation deposited on one frame
+// (stepSim()'s hits, HIT_STRIDE floats per cell)
+function paintDeposits(pen, hits) {
+    const s = TEXTURE_SIZE;
+    // Wound grid occupies center portion of the unified canvas
+    const woundFrac = WOUND_WORLD / SURFACE_RADIUS;
+    const woundPx = s * woundFrac;
+    const woundOff = (s - woundPx) / 2;
+    const cellPx = woundPx / W_GRID;
+    const { c, poly } = pen;
+
+    for (let h = 0; h < hits.length; h += HIT_STRIDE) {
+        const px = woundOff + (hits[h] + 0.5) * cellPx;
+        const py = woundOff + (hits[h + 1] + 0.5) * cellPx;
+        const value = hits[h + 2], falloff = hits[h + 3];
+
+        if (value >= 0) {
+            // Cells past the target keep thickening — draw them sparser
+            if (value >= 1 && Math.random() > 0.3) continue;
+            // Solid coverage tint — shows actual counted coverage area
+            const tintAlpha = Math.min(0.35, value * 0.3);
+            c.fillStyle = poly.fiber + tintAlpha + ')';
+            c.fillRect(px - cellPx * 0.5, py - cellPx * 0.5, cellPx, cellPx);
+
+            // Fiber strands — proportional to cell size
+            paintMarks(pen, px, py, cellPx, {
+                lenMin: 1, lenVar: 4, jitter: 2, widthMin: 0.3, widthVar: 1.0,
+                alpha: Math.min(0.5, value * 0.35 + 0.08),
+            });
+        } else {
+            // Skin cell near wound: visual-only fiber overflow
+            if (Math.random() > falloff * 0.8) continue;
+            paintMarks(pen, px, py, cellPx, {
+                lenMin: 2, lenVar: 6, jitter: 3, widthMin: 0.2, widthVar: 0.8,
+                alpha: 0.08 + falloff * 0.27,
+            });
+        }
+    }
+}
+
+// 1–3 marks around (px, py) in the look of the current regime: fiber
+// strands when stable, strands with beads, chaotic whips for multi-jet,
+// or solvent splats when the nozzle is dripping
+function paintMarks(pen, px, py, cellPx, m) {
+    const { c, poly, regime } = pen;
+    if (regime === 'dripping') {
+        if (Math.random() > 0.2) return;
+        paintSplat(pen, px, py, cellPx * (1 + Math.random() * 1.5), m.alpha);
+        return;
+    }
+    const whip = regime === 'multijet' ? 4 : 2;
+    const strands = 1 + Math.floor(Math.random() * 3);
+    for (let fi = 0; fi < strands; fi++) {
+        const fAngle = Math.random() * Math.PI * 2;
+        const fLen = cellPx * (m.lenMin + Math.random() * m.lenVar);
+        const ex = px + Math.cos(fAngle) * fLen;
+        const ey = py + Math.sin(fAngle) * fLen;
+        c.strokeStyle = poly.fiber + m.alpha + ')';
+        c.lineWidth = m.widthMin + Math.random() * m.widthVar;
+        c.beginPath();
+        c.moveTo(px + (Math.random() - 0.5) * m.jitter, py + (Math.random() - 0.5) * m.jitter);
+        c.quadraticCurveTo(
+            (px + ex) / 2 + (Math.random() - 0.5) * cellPx * whip,
+            (py + ey) / 2 + (Math.random() - 0.5) * cellPx * whip,
+            ex, ey
+        );
+        c.stroke();
+        if (regime === 'beaded') paintBeads(pen, px, py, ex, ey, cellPx, m.alpha);
+    }
+}
+
+// Spindle-shaped bead defects strung along a strand
+function paintBeads({ c, poly }, x0, y0, x1, y1, cellPx, alpha) {
+    const n = 1 + Math.floor(Math.random() * 2);
+    c.fillStyle = poly.fiber + Math.min(0.7, alpha + 0.2) + ')';
+    for (let b = 0; b < n; b++) {
+        const t = 0.2 + Math.random() * 0.6;
+        c.beginPath();
+        c.ellipse(
+            x0 + (x1 - x0) * t, y0 + (y1 - y0) * t,
+            cellPx * 0.35, cellPx * 0.2, Math.atan2(y1 - y0, x1 - x0), 0, Math.PI * 2
+        );
+        c.fill();
+    }
+}
+
+// Wet droplet: a flat film with a darker drying rim
+function paintSplat({ c, poly }, x, y, radius, alpha) {
+    c.fillStyle = poly.fiber + Math.min(0.4, alpha * 0.8) + ')';
+    c.beginPath();
+    c.arc(x, y, radius, 0, Math.PI * 2);
+    c.fill();
+    c.strokeStyle = poly.fiber + Math.min(0.7, alpha + 0.25) + ')';
+    c.lineWidth = 0.8;
+    c.stroke();
+}
+
+// A particle landed at surface coords (u, v)
+function paintFiber(pen, u, v) {
+    const canvasSize = TEXTURE_SIZE;
+    const cx = ((u + SURFACE_RADIUS) / (SURFACE_RADIUS * 2)) * canvasSize;
+    const cy = ((v + SURFACE_RADIUS) / (SURFACE_RADIUS * 2)) * canvasSize;
+    if (cx < 2 || cx > canvasSize - 2 || cy < 2 || cy > canvasSize - 2) return;
+
+    const { c, poly, regime } = pen;
+    if (regime === 'dripping') {
+        paintSplat(pen, cx, cy, 4 + Math.random() * 8, 0.3);
+        return;
+    }
+    const numStrands = 2 + Math.floor(Math.random() * 4);
+    for (let i = 0; i < numStrands; i++) {
+        const len = 6 + Math.random() * 20;
+        const angle = Math.random() * Math.PI * 2;
+        const ex = cx + Math.cos(angle) * len;
+        const ey = cy + Math.sin(angle) * len;
+
+        c.strokeStyle = poly.fiber + (0.15 + Math.random() * 0.3) + ')';
+        c.lineWidth = 0.3 + Math.random() * 1.2;
+        c.beginPath();
+        c.moveTo(cx + (Math.random() - 0.5) * 3, cy + (Math.random() - 0.5) * 3);
+        c.quadraticCurveTo(
+            (cx + ex) / 2 + (Math.random() - 0.5) * 8,
+            (cy + ey) / 2 + (Math.random() - 0.5) * 8,
+            ex, ey
+        );
+        c.stroke();
+        if (regime === 'beaded') paintBeads(pen, cx, cy, ex, ey, 4, 0.3);
+    }
+    // Soft glow
+    c.fillStyle = poly.fiber + '0.03)';
+    c.beginPath();
+    c.arc(cx, cy, 5 + Math.random() * 8, 0, Math.PI * 2);
+    c.fill();
+}
+
+// Cells the healing time-lapse changed: cells[k] is a grid index,
+// states[k] one of HEALED / INFECTED / GRANULATING
+function paintHealing(c, cells, states) {
+    const s = TEXTURE_SIZE;
+    const woundPx = s * (WOUND_WORLD / SURFACE_RADIUS);
+    const woundOff = (s - woundPx) / 2;
+    const cellPx = woundPx / W_GRID;
+    for (let k = 0; k < cells.length; k++) {
+        const i = cells[k];
+        const gx = i % W_GRID, gy = (i - gx) / W_GRID;
+        const px = woundOff + (gx + 0.5) * cellPx;
+        const py = woundOff + (gy + 0.5) * cellPx;
+        if (states[k] === HEALED) {
+            // Fresh pink epithelium, slightly mottled
+            const shade = Math.random() * 16 - 8;
+            c.fillStyle = `rgba(${226 + shade | 0},${170 + shade | 0},${152 + shade | 0},0.9)`;
+            c.beginPath();
+            c.arc(px, py, cellPx * (0.7 + Math.random() * 0.2), 0, Math.PI * 2);
+            c.fill();
+        } else if (states[k] === INFECTED) {
+            c.fillStyle = 'rgba(196,178,84,0.55)';
+            c.beginPath();
+            c.arc(px, py, cellPx * 0.8, 0, Math.PI * 2);
+            c.fill();
+        } else {
+            // Infection cleared — back to granulation tissue
+            c.fillStyle = 'rgba(176,96,90,0.6)';
+            c.fillRect(px - cellPx / 2, py - cellPx / 2, cellPx, cellPx);
+        }
+    }
+}